@@ -0,0 +1,165 @@
+import { randomUUID } from 'node:crypto';
+
+const MAX_TRANSCRIPT_ENTRIES = 500;
+
+// Accumulates everything worth keeping about a single call so it can be
+// persisted in one write when the Twilio stream closes.
+export function createCallRecorder({ callSid = null } = {}) {
+  const record = {
+    id: callSid || `call_${randomUUID()}`,
+    callSid,
+    streamSid: null,
+    callerPhone: null,
+    isSelfCaller: false,
+    tenantId: null,
+    personaId: null,
+    restaurantId: null,
+    direction: 'inbound',
+    callback: null,
+    resumedAfterTransfer: null,
+    transfer: null,
+    voicemail: null,
+    reconnects: [],
+    endReason: null,
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    durationSeconds: null,
+    closeCode: null,
+    closeReason: null,
+    transcript: [],
+    keypad: [],
+    messages: [],
+    orders: [],
+    receipts: [],
+    usage: null,
+  };
+
+  return {
+    get id() {
+      return record.id;
+    },
+
+    setCallSid(callSid) {
+      if (!callSid || record.callSid === callSid) return;
+      record.callSid = callSid;
+      record.id = callSid;
+    },
+
+    setStreamSid(streamSid) {
+      record.streamSid = streamSid || record.streamSid;
+    },
+
+    setCaller({ callerPhone, isSelfCaller }) {
+      if (callerPhone !== undefined) record.callerPhone = callerPhone;
+      if (isSelfCaller !== undefined) record.isSelfCaller = Boolean(isSelfCaller);
+    },
+
+    setPersona({ tenantId, personaId, restaurantId }) {
+      if (tenantId !== undefined) record.tenantId = tenantId;
+      if (personaId !== undefined) record.personaId = personaId;
+      if (restaurantId !== undefined) record.restaurantId = restaurantId;
+    },
+
+    // Outbound callbacks record why the assistant called.
+    setCallback(callback) {
+      if (!callback) return;
+      record.direction = 'outbound';
+      record.callback = callback;
+    },
+
+    setTransfer(transfer) {
+      record.transfer = { ...(record.transfer || {}), ...transfer };
+    },
+
+    // The call left the assistant for voicemail (keypad choice or OpenAI unavailable).
+    setVoicemail({ reason, detail = null }) {
+      record.voicemail = { reason, detail, at: new Date().toISOString() };
+    },
+
+    get voicemail() {
+      return record.voicemail;
+    },
+
+    // A call that comes back to the assistant after an unanswered transfer is a new stream on the
+    // same CallSid; it gets its own record so the first one (and its transfer outcome) is kept.
+    markResumedAfterTransfer(transferStatus) {
+      record.id = `${record.callSid || record.id}-resumed`;
+      record.resumedAfterTransfer = transferStatus;
+    },
+
+    addTranscript(role, text, { itemId = null } = {}) {
+      const trimmed = text == null ? '' : String(text).trim();
+      if (!trimmed || record.transcript.length >= MAX_TRANSCRIPT_ENTRIES) return;
+      record.transcript.push({
+        role,
+        text: trimmed,
+        itemId,
+        at: new Date().toISOString(),
+      });
+    },
+
+    // Set when the bridge ends the call itself (end_call, idle timeout, OpenAI unavailable).
+    setEndReason({ by, reason }) {
+      record.endReason = { by, reason, at: new Date().toISOString() };
+    },
+
+    addReconnect({ attempt, closeCode }) {
+      record.reconnects.push({ attempt, closeCode, at: new Date().toISOString() });
+    },
+
+    addKeypadInput(type, value) {
+      record.keypad.push({ type, value, at: new Date().toISOString() });
+    },
+
+    get transcript() {
+      return record.transcript;
+    },
+
+    get lastAssistantText() {
+      for (let index = record.transcript.length - 1; index >= 0; index -= 1) {
+        if (record.transcript[index].role === 'assistant') return record.transcript[index].text;
+      }
+      return null;
+    },
+
+    addMessage(payload, delivery, { messageNumber = null } = {}) {
+      record.messages.push({
+        payload,
+        delivery,
+        outboxId: delivery?.outboxId || null,
+        messageNumber,
+        capturedAt: new Date().toISOString(),
+      });
+    },
+
+    addOrder(order) {
+      record.orders.push({ ...order, placedAt: new Date().toISOString() });
+    },
+
+    addReceipt(receipt) {
+      record.receipts.push({ ...receipt, sentAt: new Date().toISOString() });
+    },
+
+    get lastMessage() {
+      return record.messages[record.messages.length - 1] || null;
+    },
+
+    get lastOrder() {
+      return record.orders[record.orders.length - 1] || null;
+    },
+
+    finalize({ usage, closeCode = null, closeReason = null } = {}) {
+      const endedAt = new Date();
+      record.endedAt = endedAt.toISOString();
+      record.durationSeconds = Math.round((endedAt.getTime() - Date.parse(record.startedAt)) / 1000);
+      record.closeCode = closeCode;
+      record.closeReason = closeReason;
+      record.usage = usage ? { ...usage } : null;
+      return record;
+    },
+
+    toJSON() {
+      return record;
+    },
+  };
+}
@@ -0,0 +1,207 @@
+import 'dotenv/config';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { menuFromCsv, menuToCsv } from '../menu/menuFormats.js';
+import { menuSourceName, readMenuDocuments, writeMenuDocuments } from '../menu/menuRepository.js';
+import { menuFromDocuments, validateMenu } from '../menu/menuSchema.js';
+
+const USAGE = `Usage:
+  npm run menu -- validate <menu.json | items.csv> [--modifiers modifiers.csv]
+  npm run menu -- import <menu.json | items.csv> [--modifiers modifiers.csv] [--restaurant <id>] [--dry-run] [--prune]
+  npm run menu -- export [--restaurant <id>] [--format json|csv] [--out <file>] [--modifiers-out <file>]
+
+--restaurant defaults to RESTAURANT_ID. MENU_SOURCE selects Firestore (default) or the local JSON files.`;
+
+const OPTIONS = {
+  restaurant: { type: 'string' },
+  modifiers: { type: 'string' },
+  'dry-run': { type: 'boolean', default: false },
+  prune: { type: 'boolean', default: false },
+  format: { type: 'string' },
+  out: { type: 'string' },
+  'modifiers-out': { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+class UsageError extends Error {}
+
+const formatPrice = (cents) => (Number.isInteger(cents) ? `$${(cents / 100).toFixed(2)}` : 'no price');
+
+// Key-order independent comparison of stored vs imported values.
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const describeChange = (field, before, after) => {
+  if (field === 'priceCents') return `price ${formatPrice(before)} -> ${formatPrice(after)}`;
+  if (before === undefined) return `+${field}`;
+  if (after === undefined) return `-${field}`;
+  if (typeof after !== 'object') return `${field} ${JSON.stringify(before)} -> ${JSON.stringify(after)}`;
+  return field;
+};
+
+function diffMenu(existing, incoming) {
+  const existingById = new Map(existing.map((entry) => [entry.id, entry.data]));
+  const incomingIds = new Set(incoming.map((entry) => entry.id));
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const { id, doc } of incoming) {
+    const before = existingById.get(id);
+    if (!before) {
+      added.push({ id, doc });
+      continue;
+    }
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(doc)])].filter(
+      (field) => stableStringify(before[field]) !== stableStringify(doc[field])
+    );
+    if (fields.length) {
+      changed.push({ id, doc, changes: fields.map((field) => describeChange(field, before[field], doc[field])) });
+    } else {
+      unchanged += 1;
+    }
+  }
+
+  const removed = existing.filter((entry) => !incomingIds.has(entry.id));
+  return { added, changed, removed, unchanged };
+}
+
+const printDiff = (diff, { prune }) => {
+  for (const { id, doc } of diff.added) console.log(`  + ${id}  ${doc.name}  ${formatPrice(doc.priceCents)}`);
+  for (const { id, changes } of diff.changed) console.log(`  ~ ${id}  ${changes.join('; ')}`);
+  for (const { id, data } of diff.removed) {
+    console.log(`  - ${id}  ${data.name || data.title || ''}${prune ? '' : '  (kept; pass --prune to delete)'}`);
+  }
+  console.log(
+    `${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} ${
+      prune ? 'removed' : 'not in file'
+    }, ${diff.unchanged} unchanged`
+  );
+};
+
+const loadMenuFile = async (filePath, modifiersPath) => {
+  if (!filePath) throw new UsageError('A menu file is required.');
+  const text = await readFile(filePath, 'utf8');
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    return menuFromCsv(text, modifiersPath ? await readFile(modifiersPath, 'utf8') : '');
+  }
+  if (modifiersPath) throw new UsageError('--modifiers only applies to CSV imports.');
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new UsageError(`${filePath} is not valid JSON: ${err.message}`);
+  }
+};
+
+const requireRestaurant = (values) => {
+  const restaurantId = values.restaurant || process.env.RESTAURANT_ID;
+  if (!restaurantId) throw new UsageError('Pass --restaurant <id> or set RESTAURANT_ID.');
+  return restaurantId;
+};
+
+const reportInvalid = (errors) => {
+  console.error(`Menu is invalid (${errors.length} problem${errors.length === 1 ? '' : 's'}):`);
+  for (const error of errors) console.error(`  ${error}`);
+  return 1;
+};
+
+const runValidate = async (values, [filePath]) => {
+  const result = validateMenu(await loadMenuFile(filePath, values.modifiers));
+  if (!result.valid) return reportInvalid(result.errors);
+  console.log(`Menu is valid: ${result.items.length} items.`);
+  return 0;
+};
+
+const runImport = async (values, [filePath]) => {
+  const restaurantId = requireRestaurant(values);
+  const input = await loadMenuFile(filePath, values.modifiers);
+  const existing = await readMenuDocuments(restaurantId);
+  const result = validateMenu(input, {
+    existingItems: existing.map(({ id, data }) => ({ id, name: data.name || data.title })),
+  });
+  if (!result.valid) return reportInvalid(result.errors);
+
+  const diff = diffMenu(existing, result.items);
+  console.log(`Menu diff for restaurants/${restaurantId}/menuItems (${menuSourceName()}):`);
+  printDiff(diff, { prune: values.prune });
+
+  if (values['dry-run']) {
+    console.log('Dry run: nothing written.');
+    return 0;
+  }
+
+  const upserts = [...diff.added, ...diff.changed];
+  const deleteIds = values.prune ? diff.removed.map((entry) => entry.id) : [];
+  if (!upserts.length && !deleteIds.length) {
+    console.log('Nothing to write.');
+    return 0;
+  }
+  const written = await writeMenuDocuments(restaurantId, { upserts, deleteIds });
+  console.log(`Wrote ${written.written} and deleted ${written.deleted} menu items at ${written.location}.`);
+  return 0;
+};
+
+const runExport = async (values) => {
+  const restaurantId = requireRestaurant(values);
+  const format = (values.format || (values.out?.toLowerCase().endsWith('.csv') ? 'csv' : 'json')).toLowerCase();
+  if (!['json', 'csv'].includes(format)) throw new UsageError(`Unknown --format ${format}.`);
+
+  const { menu, warnings } = menuFromDocuments(await readMenuDocuments(restaurantId));
+
+  if (format === 'json') {
+    const text = `${JSON.stringify(menu, null, 2)}\n`;
+    if (values.out) await writeFile(values.out, text);
+    else process.stdout.write(text);
+  } else {
+    const csv = menuToCsv(menu);
+    warnings.push(...csv.warnings);
+    if (!values.out) {
+      process.stdout.write(csv.items);
+      if (csv.modifiers) console.error('Modifier groups not written; pass --out to export them alongside the items.');
+    } else {
+      await writeFile(values.out, csv.items);
+      if (csv.modifiers) {
+        const modifiersOut = values['modifiers-out'] || values.out.replace(/(\.csv)?$/i, '.modifiers.csv');
+        await writeFile(modifiersOut, csv.modifiers);
+        console.error(`Modifier groups written to ${modifiersOut}`);
+      }
+    }
+  }
+
+  for (const warning of warnings) console.error(`warning: ${warning}`);
+  if (values.out) console.error(`Exported ${menu.items.length} menu items to ${values.out}`);
+  return 0;
+};
+
+const COMMANDS = { validate: runValidate, import: runImport, export: runExport };
+
+const main = async () => {
+  const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [command, ...args] = positionals;
+  if (values.help || !COMMANDS[command]) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+  return COMMANDS[command](values, args);
+};
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    if (err instanceof UsageError || err?.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+      console.error(err.message);
+      console.error(USAGE);
+    } else {
+      console.error('[Menu] command failed', err);
+    }
+    process.exit(1);
+  });
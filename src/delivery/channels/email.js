@@ -0,0 +1,53 @@
+import nodemailer from 'nodemailer';
+
+let transport = null;
+
+const getTransport = () => {
+  if (transport) return transport;
+
+  const host = process.env.SMTP_HOST;
+  if (!host) return null;
+
+  const port = Number(process.env.SMTP_PORT || 587);
+  const secure = process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465;
+  const user = process.env.SMTP_USER;
+  const pass = process.env.SMTP_PASS;
+
+  transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+  return transport;
+};
+
+export async function sendEmail(message) {
+  const to = process.env.OWNER_EMAIL;
+  const from = process.env.EMAIL_FROM || process.env.SMTP_USER;
+
+  if (!to) {
+    return { delivered: false, channel: 'email', reason: 'OWNER_EMAIL missing' };
+  }
+  if (!from) {
+    return { delivered: false, channel: 'email', reason: 'EMAIL_FROM missing' };
+  }
+
+  const smtp = getTransport();
+  if (!smtp) {
+    return { delivered: false, channel: 'email', reason: 'SMTP_HOST missing' };
+  }
+
+  try {
+    const info = await smtp.sendMail({
+      to,
+      from,
+      subject: message.subject,
+      text: message.text,
+    });
+    return { delivered: true, channel: 'email', messageId: info.messageId, to };
+  } catch (err) {
+    console.error('[Email] failed to send to owner', err);
+    return { delivered: false, channel: 'email', reason: 'SMTP send failed' };
+  }
+}
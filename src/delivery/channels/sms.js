@@ -0,0 +1,53 @@
+import { getTwilioClient } from '../../telephony/twilioClient.js';
+import { normalizeCallerPhone } from '../../utils/phone.js';
+
+// Twilio rejects sends to numbers that replied STOP with this error code.
+export const TWILIO_UNSUBSCRIBED_ERROR = 21610;
+
+export const smsFromNumber = () => normalizeCallerPhone(process.env.TWILIO_SMS_FROM || process.env.PHONE_RELAY_NUMBER);
+
+export async function sendSmsTo(to, body) {
+  const smsFrom = smsFromNumber();
+
+  if (!to) {
+    return { delivered: false, channel: 'sms', reason: 'Recipient phone missing' };
+  }
+  if (!smsFrom) {
+    return { delivered: false, channel: 'sms', reason: 'TWILIO_SMS_FROM missing' };
+  }
+
+  const client = getTwilioClient();
+  if (!client) {
+    return { delivered: false, channel: 'sms', reason: 'Twilio account credentials missing' };
+  }
+
+  try {
+    const sms = await client.messages.create({ to, from: smsFrom, body });
+
+    return {
+      delivered: true,
+      channel: 'sms',
+      messageSid: sms.sid,
+      to,
+      from: smsFrom,
+    };
+  } catch (err) {
+    console.error('[SMS] failed to send', { to, code: err?.code, err: err?.message || err });
+    return {
+      delivered: false,
+      channel: 'sms',
+      reason: 'Twilio SMS send failed',
+      unsubscribed: err?.code === TWILIO_UNSUBSCRIBED_ERROR,
+    };
+  }
+}
+
+export async function sendSms(message) {
+  const ownerPhone = normalizeCallerPhone(process.env.TWILIO_OWNER_PHONE);
+
+  if (!ownerPhone) {
+    return { delivered: false, channel: 'sms', reason: 'TWILIO_OWNER_PHONE missing' };
+  }
+
+  return sendSmsTo(ownerPhone, message.text);
+}
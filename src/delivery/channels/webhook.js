@@ -0,0 +1,50 @@
+import { createHmac } from 'node:crypto';
+
+const WEBHOOK_TIMEOUT_MS = Number(process.env.DELIVERY_WEBHOOK_TIMEOUT_MS || 5000);
+
+// Receivers verify `X-Signature: sha256=<hex>` as HMAC-SHA256(secret, `${X-Timestamp}.${rawBody}`).
+export const signWebhookBody = (secret, timestamp, body) =>
+  `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+export async function sendWebhook(message) {
+  const url = process.env.DELIVERY_WEBHOOK_URL;
+  const secret = process.env.DELIVERY_WEBHOOK_SECRET;
+
+  if (!url) {
+    return { delivered: false, channel: 'webhook', reason: 'DELIVERY_WEBHOOK_URL missing' };
+  }
+  if (!secret) {
+    return { delivered: false, channel: 'webhook', reason: 'DELIVERY_WEBHOOK_SECRET missing' };
+  }
+
+  const body = JSON.stringify({
+    subject: message.subject,
+    text: message.text,
+    priority: message.priority,
+    payload: message.payload,
+    meta: message.meta,
+  });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Timestamp': timestamp,
+        'X-Signature': signWebhookBody(secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      console.error('[Webhook] delivery rejected', { status: response.status });
+      return { delivered: false, channel: 'webhook', reason: `Webhook responded ${response.status}` };
+    }
+    return { delivered: true, channel: 'webhook', status: response.status };
+  } catch (err) {
+    console.error('[Webhook] delivery failed', err);
+    return { delivered: false, channel: 'webhook', reason: 'Webhook request failed' };
+  }
+}
@@ -0,0 +1,58 @@
+import { sendEmail } from './channels/email.js';
+import { sendSms } from './channels/sms.js';
+import { sendWebhook } from './channels/webhook.js';
+
+const CHANNELS = {
+  sms: sendSms,
+  email: sendEmail,
+  webhook: sendWebhook,
+};
+
+const DEFAULT_ROUTE = 'sms';
+
+// A route is an ordered fallback chain of steps separated by commas. Each step is one
+// or more channels joined by `+` that are sent together, e.g. `sms+email,webhook`
+// sends SMS and email, and only falls back to the webhook if neither was delivered.
+export const parseRoute = (value) =>
+  String(value || '')
+    .split(',')
+    .map((step) =>
+      step
+        .split('+')
+        .map((channel) => channel.trim().toLowerCase())
+        .filter((channel) => {
+          if (!channel) return false;
+          if (!CHANNELS[channel]) {
+            console.warn(`[Delivery] ignoring unknown channel "${channel}"`);
+            return false;
+          }
+          return true;
+        })
+    )
+    .filter((step) => step.length);
+
+const routeForPriority = (priority) => {
+  const key = `DELIVERY_ROUTE_${String(priority || 'normal').toUpperCase()}`;
+  const route = parseRoute(process.env[key] || process.env.DELIVERY_ROUTE || DEFAULT_ROUTE);
+  return route.length ? route : parseRoute(DEFAULT_ROUTE);
+};
+
+// message: { subject, text, priority, payload?, meta? }
+// Resolves to { delivered, succeeded, attempts } where `attempts` holds every channel result in order.
+export async function deliverMessage(message, { route } = {}) {
+  const steps = route ? parseRoute(route) : routeForPriority(message.priority);
+  const attempts = [];
+
+  for (const step of steps) {
+    const results = await Promise.all(step.map((channel) => CHANNELS[channel](message)));
+    attempts.push(...results);
+    if (results.some((result) => result.delivered)) break;
+  }
+
+  const succeeded = attempts.filter((result) => result.delivered).map((result) => result.channel);
+  return {
+    delivered: succeeded.length > 0,
+    succeeded,
+    attempts,
+  };
+}
@@ -0,0 +1,42 @@
+import { getStorage } from '../storage/index.js';
+
+const MAX_ACTIONS = 20;
+
+// Captured messages keyed by their short message number, so the owner can act on them by replying
+// to the notification text ("DONE 12"). Status is `open` until the owner marks it `done`.
+export async function recordMessage({ messageNumber, tenantId = null, payload, meta }) {
+  const record = {
+    id: String(messageNumber),
+    messageNumber,
+    status: 'open',
+    ...payload,
+    tenantId,
+    callSid: meta.callSid || null,
+    callerPhone: meta.callerPhone || null,
+    createdAt: meta.createdAt,
+    handledAt: null,
+    actions: [],
+  };
+  await getStorage().saveMessage(record);
+  return record;
+}
+
+export const getMessageByNumber = (messageNumber) => getStorage().getMessage(String(messageNumber));
+
+export async function listOpenMessages({ limit = 5 } = {}) {
+  const records = await getStorage().listMessages({ status: 'open' });
+  return records.sort((a, b) => b.messageNumber - a.messageNumber).slice(0, limit);
+}
+
+// Appends `action` ({ type, ... }) to the message's history and applies `changes`.
+export async function updateMessage(record, action, changes = {}) {
+  const now = new Date().toISOString();
+  const updated = {
+    ...record,
+    ...changes,
+    actions: [...(record.actions || []), { ...action, at: now }].slice(-MAX_ACTIONS),
+    updatedAt: now,
+  };
+  await getStorage().saveMessage(updated);
+  return updated;
+}
@@ -0,0 +1,121 @@
+import { randomUUID } from 'node:crypto';
+import { getStorage } from '../storage/index.js';
+import { deliverMessage } from './index.js';
+
+const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 8);
+const OUTBOX_BASE_DELAY_MS = Number(process.env.OUTBOX_BASE_DELAY_MS || 30_000);
+const OUTBOX_MAX_DELAY_MS = Number(process.env.OUTBOX_MAX_DELAY_MS || 60 * 60_000);
+const OUTBOX_POLL_MS = Number(process.env.OUTBOX_POLL_MS || 15_000);
+const MAX_HISTORY_ENTRIES = 20;
+
+let workerTimer = null;
+let processing = false;
+
+// Exponential backoff: base, 2x base, 4x base, ... capped at OUTBOX_MAX_DELAY_MS.
+const backoffDelayMs = (attempts) =>
+  Math.min(OUTBOX_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), OUTBOX_MAX_DELAY_MS);
+
+const attemptEntry = async (entry) => {
+  const result = await deliverMessage(entry.message);
+  const now = new Date();
+
+  entry.attempts += 1;
+  entry.lastAttemptAt = now.toISOString();
+  entry.history = [
+    ...(entry.history || []),
+    { at: entry.lastAttemptAt, delivered: result.delivered, attempts: result.attempts },
+  ].slice(-MAX_HISTORY_ENTRIES);
+
+  if (result.delivered) {
+    entry.status = 'delivered';
+    entry.deliveredAt = entry.lastAttemptAt;
+    entry.deliveredChannels = result.succeeded;
+    entry.nextAttemptAt = null;
+  } else if (entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+    entry.status = 'failed';
+    entry.nextAttemptAt = null;
+    console.error('[Outbox] giving up on message', { id: entry.id, attempts: entry.attempts });
+  } else {
+    entry.status = 'pending';
+    entry.nextAttemptAt = new Date(now.getTime() + backoffDelayMs(entry.attempts)).toISOString();
+  }
+
+  await getStorage().saveOutboxEntry(entry);
+  return result;
+};
+
+// Records the message in the outbox before the first delivery attempt, so a failed
+// (or interrupted) delivery is retried later instead of being dropped.
+// Resolves to the deliverMessage result plus { outboxId, queued }.
+export async function enqueueMessage(message) {
+  const entry = {
+    id: `msg_${randomUUID()}`,
+    status: 'pending',
+    message,
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    lastAttemptAt: null,
+    // Pushed out by one backoff step so the worker does not race the immediate attempt below;
+    // if the process dies mid-attempt the worker picks the entry up after that delay.
+    nextAttemptAt: new Date(Date.now() + backoffDelayMs(1)).toISOString(),
+    history: [],
+  };
+
+  try {
+    await getStorage().saveOutboxEntry(entry);
+  } catch (err) {
+    console.error('[Outbox] failed to record message; delivering without retry', err);
+    const result = await deliverMessage(message);
+    return { ...result, outboxId: null, queued: false };
+  }
+
+  try {
+    const result = await attemptEntry(entry);
+    return { ...result, outboxId: entry.id, queued: entry.status === 'pending' };
+  } catch (err) {
+    console.error('[Outbox] failed to update entry after delivery attempt', { id: entry.id, err });
+    return { delivered: false, succeeded: [], attempts: [], outboxId: entry.id, queued: true };
+  }
+}
+
+export async function processOutbox() {
+  if (processing) return;
+  processing = true;
+  try {
+    const pending = await getStorage().listOutboxEntries({ status: 'pending' });
+    const now = Date.now();
+    const due = pending.filter((entry) => !entry.nextAttemptAt || Date.parse(entry.nextAttemptAt) <= now);
+
+    for (const entry of due) {
+      const result = await attemptEntry(entry);
+      console.log('[Outbox] retry attempt', {
+        id: entry.id,
+        attempts: entry.attempts,
+        delivered: result.delivered,
+        status: entry.status,
+      });
+    }
+  } catch (err) {
+    console.error('[Outbox] processing failed', err);
+  } finally {
+    processing = false;
+  }
+}
+
+export async function getOutboxStats() {
+  const storage = getStorage();
+  const [pending, failed] = await Promise.all([
+    storage.listOutboxEntries({ status: 'pending' }),
+    storage.listOutboxEntries({ status: 'failed' }),
+  ]);
+  return { pending: pending.length, failed: failed.length };
+}
+
+export function startOutboxWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(processOutbox, OUTBOX_POLL_MS);
+  workerTimer.unref();
+  // Pick up anything left pending by a previous process right away.
+  processOutbox();
+  console.log(`[Outbox] retry worker started (poll every ${OUTBOX_POLL_MS}ms)`);
+}
@@ -0,0 +1,33 @@
+import { getStorage } from '../storage/index.js';
+import { digitsOnly } from '../utils/phone.js';
+
+// Carrier-standard keywords; Twilio also blocks sends to opted-out numbers on its side,
+// but keeping our own list means we never try (and never promise a text that can't arrive).
+const OPT_OUT_KEYWORDS = new Set(['stop', 'stopall', 'unsubscribe', 'cancel', 'end', 'quit']);
+const OPT_IN_KEYWORDS = new Set(['start', 'yes', 'unstop']);
+
+// Last 10 digits, so +15551234567 and 5551234567 share one record.
+const optOutId = (phone) => digitsOnly(phone).slice(-10) || null;
+
+export const smsKeyword = (body) => {
+  const word = String(body || '').trim().toLowerCase();
+  if (OPT_OUT_KEYWORDS.has(word)) return 'opt_out';
+  if (OPT_IN_KEYWORDS.has(word)) return 'opt_in';
+  return null;
+};
+
+export async function isOptedOut(phone) {
+  const id = optOutId(phone);
+  if (!id) return false;
+  const record = await getStorage().getSmsOptOut(id);
+  return Boolean(record?.optedOut);
+}
+
+export async function setOptOut(phone, optedOut, { source = 'keyword' } = {}) {
+  const id = optOutId(phone);
+  if (!id) return null;
+  const record = { id, phone, optedOut, source, updatedAt: new Date().toISOString() };
+  await getStorage().saveSmsOptOut(record);
+  console.log('[SMS] opt-out updated', { phone, optedOut, source });
+  return record;
+}
@@ -0,0 +1,43 @@
+import { extractZip } from './localGeocoder.js';
+
+const GEOCODE_URL = 'https://maps.googleapis.com/maps/api/geocode/json';
+const GEOCODER_TIMEOUT_MS = Number(process.env.GEOCODER_TIMEOUT_MS || 3000);
+// Degrees around `near` used to bias results toward the restaurant's area.
+const BIAS_DEGREES = 0.5;
+
+export function createGoogleGeocoder({ apiKey }) {
+  return {
+    name: 'google',
+    async geocode(address, { near } = {}) {
+      const params = new URLSearchParams({ address, key: apiKey });
+      if (near && Number.isFinite(near.lat) && Number.isFinite(near.lng)) {
+        params.set(
+          'bounds',
+          `${near.lat - BIAS_DEGREES},${near.lng - BIAS_DEGREES}|${near.lat + BIAS_DEGREES},${near.lng + BIAS_DEGREES}`
+        );
+      }
+
+      const response = await fetch(`${GEOCODE_URL}?${params}`, { signal: AbortSignal.timeout(GEOCODER_TIMEOUT_MS) });
+      if (!response.ok) {
+        throw new Error(`Geocoder responded ${response.status}`);
+      }
+
+      const body = await response.json();
+      if (body.status === 'ZERO_RESULTS') return null;
+      if (body.status !== 'OK') {
+        throw new Error(`Geocoder status ${body.status}`);
+      }
+
+      const [result] = body.results;
+      const zip =
+        result.address_components?.find((component) => component.types?.includes('postal_code'))?.short_name ||
+        extractZip(address);
+      return {
+        lat: result.geometry.location.lat,
+        lng: result.geometry.location.lng,
+        zip,
+        formattedAddress: result.formatted_address || address,
+      };
+    },
+  };
+}
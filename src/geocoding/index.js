@@ -0,0 +1,57 @@
+import { createGoogleGeocoder } from './googleGeocoder.js';
+import { createLocalGeocoder } from './localGeocoder.js';
+
+const GEOCODER = (process.env.GEOCODER || 'local').trim().toLowerCase();
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || './data';
+const CACHE_LIMIT = 500;
+
+let geocoder = null;
+
+// The same street can resolve differently near different restaurants, so the bias is part of the key;
+// rounding to ~1 km keeps one restaurant's lookups on one key.
+const cacheKey = (address, near) => {
+  const key = String(address || '').trim().toLowerCase();
+  if (!near || !Number.isFinite(near.lat) || !Number.isFinite(near.lng)) return key;
+  return `${key}|${near.lat.toFixed(2)},${near.lng.toFixed(2)}`;
+};
+
+const createGeocoder = () => {
+  switch (GEOCODER) {
+    case 'google':
+      if (process.env.GOOGLE_MAPS_API_KEY) {
+        return createGoogleGeocoder({ apiKey: process.env.GOOGLE_MAPS_API_KEY });
+      }
+      console.warn('[Geocoder] GOOGLE_MAPS_API_KEY missing; falling back to local');
+      return createLocalGeocoder({ dir: LOCAL_STORAGE_DIR });
+    case 'local':
+      return createLocalGeocoder({ dir: LOCAL_STORAGE_DIR });
+    default:
+      console.warn(`[Geocoder] unknown GEOCODER=${GEOCODER}; falling back to local`);
+      return createLocalGeocoder({ dir: LOCAL_STORAGE_DIR });
+  }
+};
+
+// Every geocoder exposes geocode(address, { near? }) -> { lat, lng, zip, formattedAddress } | null,
+// where lat/lng may be null when only the zip code is known. Errors are thrown, not returned.
+// Results are cached in-process because quote_order and place_order look up the same address.
+export function getGeocoder() {
+  if (geocoder) return geocoder;
+
+  const backend = createGeocoder();
+  const cache = new Map();
+  geocoder = {
+    name: backend.name,
+    async geocode(address, options) {
+      const key = cacheKey(address, options?.near);
+      if (cache.has(key)) return cache.get(key);
+
+      const result = await backend.geocode(address, options);
+      if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+      cache.set(key, result);
+      return result;
+    },
+  };
+
+  console.log(`[Geocoder] using ${geocoder.name} geocoder`);
+  return geocoder;
+}
@@ -0,0 +1,59 @@
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const ZIP_PATTERN = /\b(\d{5})(?:-\d{4})?\b/g;
+// "12345 Main Street": a five-digit house number at the start, never the zip.
+const HOUSE_NUMBER_PATTERN = /^\d{5}\s+[a-z]/i;
+
+export const normalizeAddressKey = (address) =>
+  String(address || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// The zip comes last ("..., Brooklyn NY 11216"), so take the last zip-shaped number that isn't the house number.
+export const extractZip = (address) => {
+  const text = String(address || '').trim();
+  const last = [...text.matchAll(ZIP_PATTERN)].at(-1);
+  if (!last || (last.index === 0 && HOUSE_NUMBER_PATTERN.test(text))) return null;
+  return last[1];
+};
+
+// Offline stand-in for development and tests: looks addresses up in
+// `<dir>/geocode.json` ({ "123 main st": { "lat": 40.1, "lng": -73.9, "zip": "11201" } },
+// keys normalized like normalizeAddressKey) and otherwise only recovers a spoken zip code.
+export function createLocalGeocoder({ dir }) {
+  const filePath = path.join(dir, 'geocode.json');
+  let table = null;
+
+  const loadTable = async () => {
+    if (table) return table;
+    try {
+      const raw = JSON.parse(await readFile(filePath, 'utf8'));
+      table = new Map(Object.entries(raw || {}).map(([key, value]) => [normalizeAddressKey(key), value]));
+    } catch (err) {
+      if (err?.code !== 'ENOENT') console.warn('[Geocoder] failed to read local geocode table', { filePath, err });
+      table = new Map();
+    }
+    return table;
+  };
+
+  return {
+    name: 'local',
+    async geocode(address) {
+      const key = normalizeAddressKey(address);
+      const entries = await loadTable();
+      const hit =
+        entries.get(key) ||
+        [...entries.entries()].find(([entryKey]) => key.startsWith(`${entryKey} `))?.[1] ||
+        null;
+      const zip = hit?.zip || extractZip(address);
+
+      if (hit && Number.isFinite(hit.lat) && Number.isFinite(hit.lng)) {
+        return { lat: hit.lat, lng: hit.lng, zip, formattedAddress: hit.formattedAddress || address };
+      }
+      return zip ? { lat: null, lng: null, zip, formattedAddress: address } : null;
+    },
+  };
+}
@@ -0,0 +1,259 @@
+// Opening hours and availability windows, evaluated in the restaurant's timezone.
+//
+// Restaurant document fields:
+//   timezone: 'America/New_York'
+//   acceptingOrders: true                      // kill switch; false stops all orders
+//   hours: { mon: [{ open: '11:00', close: '22:00' }], ..., sun: [] }   // close <= open runs past midnight
+//   holidayOverrides: [{ date: '2026-12-25', closed: true }, { date: '2026-12-24', hours: [...] }]
+//   categoryAvailability: { Breakfast: [{ days: ['mon', 'tue'], start: '06:00', end: '11:00' }] }
+// Menu item documents may carry their own `availability` windows (same shape), which win over the category's.
+// A restaurant without `hours` is treated as always open.
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_NAMES = {
+  sun: 'Sunday',
+  mon: 'Monday',
+  tue: 'Tuesday',
+  wed: 'Wednesday',
+  thu: 'Thursday',
+  fri: 'Friday',
+  sat: 'Saturday',
+};
+const MINUTES_PER_DAY = 24 * 60;
+
+const isValidTimezone = (timezone) => {
+  if (!timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Checked once here so a bad DEFAULT_TIMEZONE can't break every status check.
+const DEFAULT_TIMEZONE = isValidTimezone(process.env.DEFAULT_TIMEZONE)
+  ? process.env.DEFAULT_TIMEZONE
+  : 'America/New_York';
+
+const parseTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= MINUTES_PER_DAY ? minutes : null;
+};
+
+// "11am", "3:30pm", "midnight"
+export const formatTime = (minutes) => {
+  const normalized = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  if (normalized === 0) return 'midnight';
+  if (normalized === 12 * 60) return 'noon';
+  const hours24 = Math.floor(normalized / 60);
+  const mins = normalized % 60;
+  const suffix = hours24 < 12 ? 'am' : 'pm';
+  const hours12 = hours24 % 12 || 12;
+  return mins ? `${hours12}:${String(mins).padStart(2, '0')}${suffix}` : `${hours12}${suffix}`;
+};
+
+// Wall-clock date/day/minute for `date` in `timezone` (DEFAULT_TIMEZONE when missing or invalid).
+export const zonedNow = (timezone, date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (type) => parts.find((part) => part.type === type)?.value;
+  return {
+    dateKey: `${get('year')}-${get('month')}-${get('day')}`,
+    dayKey: get('weekday').toLowerCase().slice(0, 3),
+    minutes: Number(get('hour')) * 60 + Number(get('minute')),
+  };
+};
+
+const shiftDateKey = (dateKey, days) => {
+  const date = new Date(`${dateKey}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const dayKeyFor = (dateKey) => DAY_KEYS[new Date(`${dateKey}T12:00:00Z`).getUTCDay()];
+
+const normalizeRanges = (ranges) =>
+  (Array.isArray(ranges) ? ranges : [])
+    .map((range) => ({ open: parseTime(range?.open ?? range?.start), close: parseTime(range?.close ?? range?.end) }))
+    .filter((range) => range.open != null && range.close != null);
+
+// Opening ranges for one calendar date, honoring holiday overrides.
+const rangesForDate = (restaurant, dateKey) => {
+  const override = (restaurant.holidayOverrides || []).find((entry) => entry?.date === dateKey);
+  if (override) {
+    return { ranges: override.closed ? [] : normalizeRanges(override.hours), override };
+  }
+  return { ranges: normalizeRanges(restaurant.hours?.[dayKeyFor(dateKey)]), override: null };
+};
+
+// Open intervals (in minutes relative to the start of `dateKey`) covering that day,
+// including the tail of the previous day's overnight ranges.
+const intervalsAround = (restaurant, dateKey) => {
+  const intervals = [];
+  for (const [offset, key] of [
+    [-1, shiftDateKey(dateKey, -1)],
+    [0, dateKey],
+  ]) {
+    for (const range of rangesForDate(restaurant, key).ranges) {
+      const start = offset * MINUTES_PER_DAY + range.open;
+      const end = offset * MINUTES_PER_DAY + (range.close <= range.open ? range.close + MINUTES_PER_DAY : range.close);
+      intervals.push({ start, end });
+    }
+  }
+  return intervals;
+};
+
+const describeOpening = (dayOffset, dateKey, minutes) => {
+  const time = formatTime(minutes);
+  if (dayOffset === 0) return `at ${time}`;
+  if (dayOffset === 1) return `tomorrow at ${time}`;
+  return `${DAY_NAMES[dayKeyFor(dateKey)]} at ${time}`;
+};
+
+const findNextOpening = (restaurant, now) => {
+  for (let dayOffset = 0; dayOffset < 8; dayOffset += 1) {
+    const dateKey = shiftDateKey(now.dateKey, dayOffset);
+    const ranges = rangesForDate(restaurant, dateKey).ranges.sort((a, b) => a.open - b.open);
+    for (const range of ranges) {
+      if (dayOffset === 0 && range.open <= now.minutes) continue;
+      return { dateKey, minutes: range.open, text: describeOpening(dayOffset, dateKey, range.open) };
+    }
+  }
+  return null;
+};
+
+// { open, acceptingOrders, canOrder, reason, closesAt, opensAt, message }
+export function getStoreStatus(restaurant, date = new Date()) {
+  const doc = restaurant || {};
+  const now = zonedNow(doc.timezone, date);
+  const acceptingOrders = doc.acceptingOrders !== false;
+
+  if (!doc.hours && !(doc.holidayOverrides || []).length) {
+    return {
+      open: true,
+      acceptingOrders,
+      canOrder: acceptingOrders,
+      reason: acceptingOrders ? null : 'not_accepting_orders',
+      closesAt: null,
+      opensAt: null,
+      message: acceptingOrders ? null : "We're not taking phone orders right now.",
+    };
+  }
+
+  const current = intervalsAround(doc, now.dateKey).find(
+    (interval) => interval.start <= now.minutes && now.minutes < interval.end
+  );
+  const { override } = rangesForDate(doc, now.dateKey);
+
+  if (current) {
+    return {
+      open: true,
+      acceptingOrders,
+      canOrder: acceptingOrders,
+      reason: acceptingOrders ? null : 'not_accepting_orders',
+      closesAt: formatTime(current.end),
+      opensAt: null,
+      message: acceptingOrders
+        ? `We're open until ${formatTime(current.end)}.`
+        : "We're open, but we're not taking phone orders right now.",
+    };
+  }
+
+  const next = findNextOpening(doc, now);
+  const holidayNote = override?.note ? ` (${override.note})` : '';
+  return {
+    open: false,
+    acceptingOrders,
+    canOrder: false,
+    reason: override ? 'holiday_closure' : 'closed',
+    closesAt: null,
+    opensAt: next?.text || null,
+    message: next ? `We're closed right now${holidayNote}. We open ${next.text}.` : `We're closed right now${holidayNote}.`,
+  };
+}
+
+const normalizeWindows = (windows) =>
+  (Array.isArray(windows) ? windows : [])
+    .map((window) => ({
+      days: Array.isArray(window?.days) ? window.days.map((day) => String(day).toLowerCase().slice(0, 3)) : DAY_KEYS,
+      start: parseTime(window?.start),
+      end: parseTime(window?.end),
+    }))
+    .filter((window) => window.start != null && window.end != null);
+
+const describeWindows = (windows) =>
+  windows.map((window) => `${formatTime(window.start)} to ${formatTime(window.end)}`).join(' and ');
+
+const itemWindows = (menuItem, restaurant) =>
+  normalizeWindows(
+    menuItem.availability?.length ? menuItem.availability : restaurant?.categoryAvailability?.[menuItem.category]
+  );
+
+// Like intervalsAround, for item/category windows: today's plus the tail of yesterday's overnight windows.
+const windowIntervalsAround = (windows, dateKey) => {
+  const intervals = [];
+  for (const [offset, key] of [
+    [-1, shiftDateKey(dateKey, -1)],
+    [0, dateKey],
+  ]) {
+    for (const window of windows.filter((entry) => entry.days.includes(dayKeyFor(key)))) {
+      const start = offset * MINUTES_PER_DAY + window.start;
+      const end = offset * MINUTES_PER_DAY + (window.end <= window.start ? window.end + MINUTES_PER_DAY : window.end);
+      intervals.push({ start, end });
+    }
+  }
+  return intervals;
+};
+
+const formatDays = (days) =>
+  days.length === DAY_KEYS.length ? '' : `${days.map((day) => DAY_NAMES[day]?.slice(0, 3) || day).join('/')} `;
+
+// Time-independent description of when an item is served ("Sat/Sun 8am to noon"), or null if always.
+export function describeItemAvailability(menuItem, restaurant) {
+  const windows = itemWindows(menuItem, restaurant);
+  if (!windows.length) return null;
+  return windows
+    .map((window) => `${formatDays(window.days)}${formatTime(window.start)} to ${formatTime(window.end)}`)
+    .join(', ');
+}
+
+// { available, reason?, message? } for a menu item right now.
+export function getItemAvailability(menuItem, restaurant, date = new Date()) {
+  if (menuItem.isAvailable === false) {
+    return { available: false, reason: 'unavailable', message: `${menuItem.name} is not available today.` };
+  }
+
+  const windows = itemWindows(menuItem, restaurant);
+  if (!windows.length) return { available: true };
+
+  const now = zonedNow(restaurant?.timezone, date);
+  const intervals = windowIntervalsAround(windows, now.dateKey);
+  const active = intervals.find((interval) => interval.start <= now.minutes && now.minutes < interval.end);
+
+  if (active) return { available: true, availableUntil: formatTime(active.end) };
+
+  const later = intervals.filter((interval) => interval.start > now.minutes).sort((a, b) => a.start - b.start)[0];
+  // Ended earlier today, including an overnight window from yesterday; not yesterday's daytime windows.
+  const earlierEnded = intervals.find((interval) => interval.end > 0 && interval.end <= now.minutes);
+  const name = menuItem.name || 'That item';
+  let message;
+  if (later) {
+    message = `${name} is served from ${formatTime(later.start)}.`;
+  } else if (earlierEnded) {
+    message = `${name} is only served until ${formatTime(earlierEnded.end)}.`;
+  } else {
+    message = `${name} is only served ${describeWindows(windows)} on certain days, not today.`;
+  }
+  return { available: false, reason: 'outside_hours', message };
+}
@@ -0,0 +1,148 @@
+import { getGeocoder } from '../geocoding/index.js';
+import { extractZip } from '../geocoding/localGeocoder.js';
+
+// Delivery zones, read from `deliveryZones` on the restaurant document:
+// {
+//   origin: { lat: 40.6782, lng: -73.9442 },   // the store, for radius zones
+//   zones: [                                    // checked in order; the first match wins
+//     { id: 'near', name: 'Within a mile', radiusMiles: 1, deliveryFeeCents: 199 },
+//     { id: 'east', polygon: [[40.68, -73.94], [40.69, -73.92], [40.67, -73.91]], deliveryFeeCents: 399 },
+//     { id: 'zips', zipCodes: ['11216', '11238'], deliveryFeeCents: 299, deliveryMinimumCents: 2000 },
+//   ],
+// }
+// A zone matches when the address falls inside its radius or polygon, or its zip is listed.
+// Restaurants without zones deliver anywhere.
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export const distanceMiles = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+};
+
+const toPoint = (value) => {
+  const [lat, lng] = Array.isArray(value) ? value : [value?.lat, value?.lng];
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+// Ray casting; fine for delivery-sized polygons that don't cross the antimeridian.
+export const pointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses =
+      a.lat > point.lat !== b.lat > point.lat &&
+      point.lng < ((b.lng - a.lng) * (point.lat - a.lat)) / (b.lat - a.lat) + a.lng;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+const toCents = (value) => (Number.isInteger(value) && value >= 0 ? value : null);
+
+export const normalizeDeliveryZones = (value) => {
+  const config = value && typeof value === 'object' ? value : {};
+  const zones = (Array.isArray(config.zones) ? config.zones : []).map((zone, index) => {
+    const polygon = (Array.isArray(zone?.polygon) ? zone.polygon : []).map(toPoint).filter(Boolean);
+    return {
+      id: zone?.id || `zone-${index + 1}`,
+      name: zone?.name || null,
+      radiusMiles: Number.isFinite(zone?.radiusMiles) && zone.radiusMiles > 0 ? zone.radiusMiles : null,
+      polygon: polygon.length >= 3 ? polygon : null,
+      zipCodes: (Array.isArray(zone?.zipCodes) ? zone.zipCodes : []).map((zip) => String(zip).trim()),
+      deliveryFeeCents: toCents(zone?.deliveryFeeCents),
+      deliveryMinimumCents: toCents(zone?.deliveryMinimumCents),
+    };
+  });
+  return { origin: toPoint(config.origin), zones };
+};
+
+const zoneMatches = (zone, { origin, location, zip }) => {
+  if (zip && zone.zipCodes.includes(zip)) return true;
+  if (!location) return false;
+  if (zone.radiusMiles && origin && distanceMiles(origin, location) <= zone.radiusMiles) return true;
+  return Boolean(zone.polygon && pointInPolygon(location, zone.polygon));
+};
+
+const zoneResult = (zone) => ({
+  checked: true,
+  deliverable: true,
+  zone: { id: zone.id, name: zone.name },
+  deliveryFeeCents: zone.deliveryFeeCents,
+  deliveryMinimumCents: zone.deliveryMinimumCents,
+});
+
+// { checked, deliverable, reason?, message?, zone?, deliveryFeeCents?, deliveryMinimumCents?, distanceMiles?, zip? }
+export async function checkDeliveryZone({ restaurant, deliveryAddress }) {
+  const { origin, zones } = normalizeDeliveryZones(restaurant?.deliveryZones);
+  if (!zones.length) return { checked: false, deliverable: true };
+
+  const address = deliveryAddress?.trim();
+  if (!address) {
+    return {
+      checked: true,
+      deliverable: false,
+      reason: 'missing_address',
+      message: 'We need the delivery address to check that we deliver there.',
+    };
+  }
+
+  let geocoded;
+  try {
+    geocoded = await getGeocoder().geocode(address, { near: origin });
+  } catch (err) {
+    // Without a geocoder only the zip allowlists can be checked; if that is not decisive,
+    // take the order rather than turn every delivery away during an outage.
+    console.error('[Geocoder] lookup failed; checking zip codes only', { err: err?.message || String(err) });
+    const zip = extractZip(address);
+    const zone = zones.find((candidate) => zoneMatches(candidate, { origin, location: null, zip }));
+    return zone
+      ? { ...zoneResult(zone), zip }
+      : { checked: false, deliverable: true, reason: 'geocoder_unavailable', zip };
+  }
+
+  if (!geocoded) {
+    return {
+      checked: true,
+      deliverable: false,
+      reason: 'address_not_found',
+      message: "We couldn't find that address. Could you repeat it with the zip code or a cross street?",
+    };
+  }
+
+  const location = toPoint(geocoded);
+  const zip = geocoded.zip || extractZip(address);
+  const zone = zones.find((candidate) => zoneMatches(candidate, { origin, location, zip }));
+  const distance = location && origin ? Number(distanceMiles(origin, location).toFixed(2)) : null;
+
+  if (zone) {
+    return { ...zoneResult(zone), distanceMiles: distance, zip };
+  }
+
+  // Only a zip was recovered and no zip zone lists it: a radius or polygon zone might
+  // still contain the address, so ask for more detail instead of refusing outright.
+  if (!location && zones.some((candidate) => candidate.radiusMiles || candidate.polygon)) {
+    return {
+      checked: true,
+      deliverable: false,
+      reason: 'address_not_found',
+      message: "We couldn't pin down that address. Could you repeat the street address with the zip code?",
+      zip,
+    };
+  }
+
+  return {
+    checked: true,
+    deliverable: false,
+    reason: 'out_of_zone',
+    message: 'Sorry, that address is outside our delivery area. Pickup is still available.',
+    distanceMiles: distance,
+    zip,
+  };
+}
@@ -0,0 +1,252 @@
+// Fuzzy matching between spoken (ASR) item names and menu item names.
+//
+// Scores are calibrated to 0..1:
+// - 1.0        identical after normalization (or an exact alias)
+// - 0.85-0.95  every spoken word matches, possibly abbreviated ("parm"), mis-heard
+//              ("chikin") or spaced differently ("cheese burger")
+// - 0.6-0.85   spoken words match but the menu name has extra words ("chicken parm"
+//              vs "Chicken Parmigiana Hero")
+// - <= 0.55    only part of the name lines up ("chicken parm" vs "Chicken Soup"), or the
+//              words only sound alike ("pasta" vs "Pesto Pizza"): worth suggesting, not pricing
+
+// Quantity words are stripped too: "two cokes" should match "Coke".
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'of', 'with', 'and', 'some', 'order', 'please', 'my', 'get', 'me',
+  'one', 'two', 'three', 'four', 'five', 'six', 'couple', 'few',
+]);
+
+const PREFIX_MIN_LENGTH = 3;
+const PREFIX_SCORE = 0.85;
+const SUFFIX_MIN_LENGTH = 5;
+const SUFFIX_SCORE = 0.75;
+const TOKEN_NOISE_FLOOR = 0.5;
+const COMPACT_MIN_SIMILARITY = 0.8;
+const PHONETIC_SCORE = 0.85;
+// Sound-alike credit only for near spellings; "pepsi" and "piece" share consonants but not much else.
+const PHONETIC_MAX_EDITS = 2;
+const PHONETIC_MAX_LENGTH_DIFF = 2;
+// Cap for names matched on sound alone, kept below the pricing threshold so the assistant asks.
+const PHONETIC_ONLY_MAX_SCORE = 0.55;
+const RECALL_WEIGHT = 0.7;
+const COMPACT_WEIGHT = 0.95;
+
+export const AMBIGUITY_MARGIN = 0.05;
+
+const singularize = (token) => {
+  if (token.length <= 3 || token.endsWith('ss')) return token;
+  if (token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (/(ches|shes|xes|zes|ses)$/.test(token)) return token.slice(0, -2);
+  if (token.endsWith('s')) return token.slice(0, -1);
+  return token;
+};
+
+export const normalizeTokens = (value) =>
+  (value || '')
+    .toString()
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter((token) => token && !STOPWORDS.has(token))
+    .map(singularize);
+
+export const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const editSimilarity = (a, b) => {
+  const maxLength = Math.max(a.length, b.length);
+  if (!maxLength) return 0;
+  return 1 - levenshtein(a, b) / maxLength;
+};
+
+const isVowel = (char) => 'aeiou'.includes(char);
+
+// Simplified Metaphone: collapses spellings that sound alike ("chikin"/"chicken",
+// "filly"/"philly") to the same key. Vowel positions are kept (any vowel run is "A"), so
+// words that merely share consonants ("pepsi"/"piece") stay apart.
+export const phoneticKey = (token) => {
+  let word = (token || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!word) return '';
+  word = word.replace(/^(kn|gn|pn|wr)/, (match) => match[1]).replace(/^x/, 's');
+
+  let key = '';
+  for (let i = 0; i < word.length; i += 1) {
+    const char = word[i];
+    const next = word[i + 1] || '';
+    let code = '';
+
+    if (isVowel(char)) {
+      if (!key.endsWith('A')) key += 'A';
+      continue;
+    }
+    switch (char) {
+      case 'c':
+        if (next === 'h') {
+          code = 'X';
+          i += 1;
+        } else if (next === 'k') {
+          code = 'K';
+          i += 1;
+        } else {
+          code = 'eiy'.includes(next) ? 'S' : 'K';
+        }
+        break;
+      case 'g':
+        if (next === 'h') {
+          i += 1;
+        } else {
+          code = 'eiy'.includes(next) ? 'J' : 'K';
+        }
+        break;
+      case 'p':
+        if (next === 'h') {
+          code = 'F';
+          i += 1;
+        } else {
+          code = 'P';
+        }
+        break;
+      case 's':
+        if (next === 'h') {
+          code = 'X';
+          i += 1;
+        } else {
+          code = 'S';
+        }
+        break;
+      case 't':
+        if (next === 'h') {
+          code = '0';
+          i += 1;
+        } else {
+          code = 'T';
+        }
+        break;
+      case 'd':
+        code = 'T';
+        break;
+      case 'q':
+        code = 'K';
+        break;
+      case 'x':
+        code = 'KS';
+        break;
+      case 'z':
+        code = 'S';
+        break;
+      case 'v':
+        code = 'F';
+        break;
+      case 'h':
+      case 'w':
+      case 'y':
+        code = isVowel(next) ? char.toUpperCase() : '';
+        break;
+      default:
+        code = char.toUpperCase();
+    }
+
+    if (code && !key.endsWith(code)) key += code;
+  }
+  return key;
+};
+
+const soundsAlike = (a, b) =>
+  Math.min(a.length, b.length) >= 3 &&
+  Math.abs(a.length - b.length) <= PHONETIC_MAX_LENGTH_DIFF &&
+  levenshtein(a, b) <= PHONETIC_MAX_EDITS &&
+  phoneticKey(a) === phoneticKey(b);
+
+const tokenSimilarity = (a, b, { phonetic = true } = {}) => {
+  if (a === b) return 1;
+  if (/^\d+$/.test(a) || /^\d+$/.test(b)) return 0;
+
+  let score = editSimilarity(a, b);
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  if (shorter.length >= PREFIX_MIN_LENGTH && longer.startsWith(shorter)) {
+    score = Math.max(score, PREFIX_SCORE);
+  }
+  // Compound words: "burger" inside "cheeseburger".
+  if (shorter.length >= SUFFIX_MIN_LENGTH && longer.endsWith(shorter)) {
+    score = Math.max(score, SUFFIX_SCORE);
+  }
+  if (phonetic && soundsAlike(a, b)) {
+    score = Math.max(score, PHONETIC_SCORE);
+  }
+  // Short unrelated words still share a few letters; treat that as no match at all.
+  return score < TOKEN_NOISE_FLOOR ? 0 : score;
+};
+
+const coverage = (fromTokens, toTokens, options) =>
+  fromTokens.reduce(
+    (sum, token) => sum + Math.max(...toTokens.map((other) => tokenSimilarity(token, other, options))),
+    0
+  ) / fromTokens.length;
+
+// Compare one spoken phrase against one menu name. `phoneticOnly` is set when the words only
+// line up thanks to sound-alike credit; such scores are capped below the pricing threshold.
+const scoreNameDetailed = (input, candidate) => {
+  const inputTokens = normalizeTokens(input);
+  const candidateTokens = normalizeTokens(candidate);
+  if (!inputTokens.length || !candidateTokens.length) return { score: 0, phoneticOnly: false };
+
+  const inputKey = inputTokens.join(' ');
+  const candidateKey = candidateTokens.join(' ');
+  if (inputKey === candidateKey) return { score: 1, phoneticOnly: false };
+
+  const tokenScoreFor = (options) =>
+    RECALL_WEIGHT * coverage(inputTokens, candidateTokens, options) +
+    (1 - RECALL_WEIGHT) * coverage(candidateTokens, inputTokens, options);
+  const tokenScore = tokenScoreFor();
+
+  // Catches spacing differences such as "cheese burger" vs "cheeseburger".
+  const compactSimilarity = editSimilarity(inputTokens.join(''), candidateTokens.join(''));
+  const compactScore = compactSimilarity >= COMPACT_MIN_SIMILARITY ? compactSimilarity * COMPACT_WEIGHT : 0;
+
+  const score = Math.min(Math.max(tokenScore, compactScore), 0.99);
+  const plainScore = Math.max(tokenScoreFor({ phonetic: false }), compactScore);
+  const phoneticOnly = score > PHONETIC_ONLY_MAX_SCORE && plainScore < PHONETIC_ONLY_MAX_SCORE;
+  return { score: phoneticOnly ? PHONETIC_ONLY_MAX_SCORE : score, phoneticOnly };
+};
+
+export const scoreName = (input, candidate) => scoreNameDetailed(input, candidate).score;
+
+// Best score across a menu item's name, title, and aliases.
+export const scoreMenuItem = (input, menuItem) => {
+  const names = [menuItem.name, menuItem.title, ...(menuItem.aliases || [])].filter(Boolean);
+  let best = { score: 0, matchedOn: null, phoneticOnly: false };
+  for (const name of names) {
+    const { score, phoneticOnly } = scoreNameDetailed(input, name);
+    if (score > best.score) best = { score, matchedOn: name, phoneticOnly };
+  }
+  return best;
+};
+
+// Ranks menu items for a spoken name. `ambiguous` is true when the runner-up is within
+// AMBIGUITY_MARGIN of the best match, so callers can ask instead of silently picking one.
+export const rankMenuItems = (input, menuItems) => {
+  const ranked = menuItems
+    .map((item) => ({ item, ...scoreMenuItem(input, item) }))
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = ranked;
+  // An exact name/alias hit beats near matches; two exact hits (shared alias) are still ambiguous.
+  const exactWinner = best?.score === 1 && runnerUp?.score < 1;
+  const ambiguous = Boolean(best && runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN && !exactWinner);
+  return { ranked, ambiguous };
+};
@@ -0,0 +1,112 @@
+import { describeItemAvailability } from './availability.js';
+
+// Compact, token-budgeted menu summary for session instructions, so the model can answer
+// "what sandwiches do you have?" without a tool call. Detail is dropped in steps until the
+// digest fits: option lists, then prices, then items per category.
+
+const MENU_DIGEST_MAX_TOKENS = Number(process.env.MENU_DIGEST_MAX_TOKENS ?? 1200);
+// Rough rule of thumb for English text with OpenAI tokenizers.
+const CHARS_PER_TOKEN = 4;
+const OTHER_CATEGORY = 'Other';
+
+export const estimateTokens = (text) => Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+
+const formatPrice = (cents) => {
+  if (!Number.isInteger(cents)) return '';
+  const sign = cents < 0 ? '-' : '';
+  const abs = Math.abs(cents);
+  return `${sign}$${abs % 100 ? (abs / 100).toFixed(2) : abs / 100}`;
+};
+
+const describeOptions = (item) =>
+  item.modifierGroups
+    .map((group) => {
+      const options = group.options
+        .filter((option) => option.isAvailable !== false)
+        .map((option) => {
+          if (!option.priceDeltaCents) return option.name;
+          return `${option.name} ${option.priceDeltaCents > 0 ? '+' : ''}${formatPrice(option.priceDeltaCents)}`;
+        });
+      return `${group.name}${group.minSelections ? '' : ' optional'}: ${options.join(', ')}`;
+    })
+    .join('; ');
+
+const describeItem = (item, restaurant, level) => {
+  let text = item.name;
+  if (level >= 1 && item.priceCents != null) text += ` ${formatPrice(item.priceCents)}`;
+  if (level >= 2 && item.availability?.length) {
+    text += ` (served ${describeItemAvailability(item, restaurant)})`;
+  }
+  if (level >= 2 && item.modifierGroups?.length) {
+    text += level >= 3 ? ` [${describeOptions(item)}]` : ' [has options]';
+  }
+  return text;
+};
+
+const groupByCategory = (menuItems) => {
+  const categories = new Map();
+  for (const item of menuItems) {
+    const category = item.category || OTHER_CATEGORY;
+    if (!categories.has(category)) categories.set(category, []);
+    categories.get(category).push(item);
+  }
+  return [...categories.entries()]
+    .sort(([a], [b]) => (a === OTHER_CATEGORY) - (b === OTHER_CATEGORY) || a.localeCompare(b))
+    .map(([category, items]) => [
+      category,
+      items.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true })),
+    ]);
+};
+
+const render = ({ categories, unavailable, restaurant, level, perCategoryLimit }) => {
+  const lines = [
+    'MENU (prices before tax and options; use it to answer menu questions, and quote_order for anything you read back as an order total)',
+  ];
+  for (const [category, items] of categories) {
+    const window = restaurant?.categoryAvailability?.[category]
+      ? ` (served ${describeItemAvailability({ category }, restaurant)})`
+      : '';
+    const shown = items.slice(0, perCategoryLimit).map((item) => describeItem(item, restaurant, level));
+    const hidden = items.length - shown.length;
+    lines.push(`- ${category}${window}: ${shown.join('; ')}${hidden > 0 ? `; and ${hidden} more` : ''}`);
+  }
+  if (unavailable.length && level >= 2) {
+    lines.push(`- Not available today: ${unavailable.map((item) => item.name).join(', ')}`);
+  }
+  return lines.join('\n');
+};
+
+// Returns { text, tokens, level, truncated } or null when there is nothing to show or the
+// budget is 0 (MENU_DIGEST_MAX_TOKENS=0 disables the digest).
+export function buildMenuDigest({ restaurant, menuItems = [] } = {}, { maxTokens = MENU_DIGEST_MAX_TOKENS } = {}) {
+  if (!maxTokens || maxTokens <= 0) return null;
+
+  const named = menuItems.filter((item) => item.name);
+  const categories = groupByCategory(named.filter((item) => item.isAvailable !== false));
+  const unavailable = named.filter((item) => item.isAvailable === false);
+  if (!categories.length) return null;
+
+  const largestCategory = Math.max(...categories.map(([, items]) => items.length));
+  const attempts = [
+    ...[3, 2, 1, 0].map((level) => ({ level, perCategoryLimit: largestCategory })),
+    ...Array.from({ length: largestCategory - 1 }, (_, index) => ({
+      level: 0,
+      perCategoryLimit: largestCategory - 1 - index,
+    })),
+  ];
+
+  for (const attempt of attempts) {
+    const text = render({ categories, unavailable, restaurant, ...attempt });
+    const tokens = estimateTokens(text);
+    if (tokens <= maxTokens) {
+      return { text, tokens, level: attempt.level, truncated: attempt.perCategoryLimit < largestCategory };
+    }
+  }
+
+  // Even one item per category is too much: list the categories only.
+  const text = `MENU CATEGORIES (call quote_order or ask the caller what they would like): ${categories
+    .map(([category]) => category)
+    .join(', ')}`;
+  const tokens = estimateTokens(text);
+  return tokens <= maxTokens ? { text, tokens, level: -1, truncated: true } : null;
+}
@@ -0,0 +1,230 @@
+// CSV form of the menu import/export format (see menuSchema.js for the JSON form).
+//
+// Items CSV, one row per item:
+//   id,name,category,description,price,aliases,isAvailable,isTaxable,modifierGroups,availability
+//   - price in dollars ("12.50"); a priceCents column is accepted instead
+//   - aliases and modifierGroups (shared group ids) are "|"-separated
+//   - availability: "06:00-11:00" or "sat,sun 08:00-12:00", several windows "|"-separated
+// Modifiers CSV, one row per option:
+//   group,groupName,required,minSelections,maxSelections,optionId,option,priceDelta,isDefault,isAvailable,aliases
+// Empty cells mean "use the default". Values that don't parse are passed through as-is so
+// schema validation reports them against the right row.
+
+export const ITEM_COLUMNS = [
+  'id',
+  'name',
+  'category',
+  'description',
+  'price',
+  'aliases',
+  'isAvailable',
+  'isTaxable',
+  'modifierGroups',
+  'availability',
+];
+export const MODIFIER_COLUMNS = [
+  'group',
+  'groupName',
+  'required',
+  'minSelections',
+  'maxSelections',
+  'optionId',
+  'option',
+  'priceDelta',
+  'isDefault',
+  'isAvailable',
+  'aliases',
+];
+
+// RFC 4180: quoted fields may contain commas, newlines and doubled quotes.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((cells) => cells.some((cell) => cell.trim()));
+  const columns = header.map((name) => name.trim());
+  return records.map((cells) => Object.fromEntries(columns.map((column, index) => [column, (cells[index] ?? '').trim()])));
+}
+
+const escapeCsv = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (columns, rows) =>
+  [columns.join(','), ...rows.map((row) => columns.map((column) => escapeCsv(row[column])).join(','))].join('\n') +
+  '\n';
+
+const blank = (value) => value == null || value === '';
+
+const parseList = (value) => (blank(value) ? undefined : value.split('|').map((entry) => entry.trim()).filter(Boolean));
+
+const parseBoolean = (value) => {
+  if (blank(value)) return undefined;
+  const normalized = value.toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+  if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+  return value;
+};
+
+const parseInteger = (value) => (blank(value) ? undefined : /^-?\d+$/.test(value) ? Number(value) : value);
+
+// "$12.50" -> 1250 without floating point; anything else is returned unchanged.
+export const parseDollars = (value) => {
+  if (blank(value)) return undefined;
+  const match = /^(-)?\$?(\d*)(?:\.(\d{1,2}))?$/.exec(value.replace(/,/g, ''));
+  if (!match || (!match[2] && !match[3])) return value;
+  const cents = Number(match[2] || 0) * 100 + Number((match[3] || '0').padEnd(2, '0'));
+  return match[1] ? -cents : cents;
+};
+
+export const formatDollars = (cents) => {
+  if (!Number.isInteger(cents)) return '';
+  const sign = cents < 0 ? '-' : '';
+  const abs = Math.abs(cents);
+  return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, '0')}`;
+};
+
+const parseAvailability = (value) =>
+  parseList(value)?.map((entry) => {
+    const match = /^(?:([a-z,\s]+)\s+)?(\S+)-(\S+)$/i.exec(entry);
+    if (!match) return { start: entry, end: entry };
+    const days = match[1]?.split(',').map((day) => day.trim().toLowerCase()).filter(Boolean);
+    return days?.length ? { days, start: match[2], end: match[3] } : { start: match[2], end: match[3] };
+  });
+
+const formatAvailability = (windows) =>
+  (windows || [])
+    .map((window) => `${window.days?.length ? `${window.days.join(',')} ` : ''}${window.start}-${window.end}`)
+    .join('|');
+
+const optional = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+export function menuFromCsv(itemsText, modifiersText = '') {
+  const groups = new Map();
+  for (const row of parseCsv(modifiersText)) {
+    if (!groups.has(row.group)) {
+      groups.set(
+        row.group,
+        optional({
+          id: row.group,
+          name: row.groupName || row.group,
+          required: parseBoolean(row.required),
+          minSelections: parseInteger(row.minSelections),
+          maxSelections: parseInteger(row.maxSelections),
+          options: [],
+        })
+      );
+    }
+    groups.get(row.group).options.push(
+      optional({
+        id: row.optionId || row.option,
+        name: row.option,
+        priceDeltaCents: parseDollars(row.priceDelta),
+        isDefault: parseBoolean(row.isDefault),
+        isAvailable: parseBoolean(row.isAvailable),
+        aliases: parseList(row.aliases),
+      })
+    );
+  }
+
+  const items = parseCsv(itemsText).map((row) =>
+    optional({
+      id: row.id || undefined,
+      name: row.name,
+      category: row.category || undefined,
+      description: row.description || undefined,
+      priceCents: blank(row.priceCents) ? parseDollars(row.price) : parseInteger(row.priceCents),
+      aliases: parseList(row.aliases),
+      isAvailable: parseBoolean(row.isAvailable),
+      isTaxable: parseBoolean(row.isTaxable),
+      modifierGroups: parseList(row.modifierGroups),
+      availability: parseAvailability(row.availability),
+    })
+  );
+
+  return groups.size ? { modifierGroups: [...groups.values()], items } : { items };
+}
+
+// Inline (non-shared) groups can't be referenced from CSV, so they are written to the
+// modifiers CSV under "<itemId>.<groupId>". Returns { items, modifiers, warnings }.
+export function menuToCsv(menu) {
+  const warnings = [];
+  const groups = [...(menu.modifierGroups || [])];
+  const itemRows = menu.items.map((item) => ({
+    id: item.id,
+    name: item.name,
+    category: item.category,
+    description: item.description,
+    price: formatDollars(item.priceCents),
+    aliases: (item.aliases || []).join('|'),
+    isAvailable: item.isAvailable === false ? 'false' : 'true',
+    isTaxable: item.isTaxable === false ? 'false' : 'true',
+    modifierGroups: (item.modifierGroups || [])
+      .map((group) => {
+        if (typeof group === 'string') return group;
+        const id = `${item.id}.${group.id}`;
+        warnings.push(`${item.id}: modifier group "${group.id}" differs from other items; exported as "${id}"`);
+        groups.push({ ...group, id });
+        return id;
+      })
+      .join('|'),
+    availability: formatAvailability(item.availability),
+  }));
+
+  const modifierRows = groups.flatMap((group) =>
+    group.options.map((option) => ({
+      group: group.id,
+      groupName: group.name,
+      required: group.required ? 'true' : '',
+      minSelections: group.minSelections,
+      maxSelections: group.maxSelections,
+      optionId: option.id,
+      option: option.name,
+      priceDelta: option.priceDeltaCents ? formatDollars(option.priceDeltaCents) : '',
+      isDefault: option.isDefault ? 'true' : '',
+      isAvailable: option.isAvailable === false ? 'false' : '',
+      aliases: (option.aliases || []).join('|'),
+    }))
+  );
+
+  return {
+    items: toCsv(ITEM_COLUMNS, itemRows),
+    modifiers: modifierRows.length ? toCsv(MODIFIER_COLUMNS, modifierRows) : null,
+    warnings,
+  };
+}
@@ -0,0 +1,69 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { localRestaurantPath } from './menuStore.js';
+
+// Raw read/write access to a restaurant's menu item documents for tooling (the menu CLI).
+// Live calls read through the menuStore cache instead, which picks up these writes via
+// snapshot listeners (firestore) or its TTL (local).
+
+const MENU_SOURCE = (process.env.MENU_SOURCE || 'firestore').trim().toLowerCase();
+const FIRESTORE_BATCH_LIMIT = 450;
+
+const getDb = () => import('../firebase.js').then((mod) => mod.db);
+
+const menuItemsCollection = (db, restaurantId) =>
+  db.collection('restaurants').doc(restaurantId).collection('menuItems');
+
+const readLocalRestaurant = async (restaurantId) => {
+  try {
+    return JSON.parse(await readFile(localRestaurantPath(restaurantId), 'utf8'));
+  } catch (err) {
+    if (err?.code === 'ENOENT') return null;
+    throw err;
+  }
+};
+
+export const menuSourceName = () => MENU_SOURCE;
+
+// -> [{ id, data }] sorted by id
+export async function readMenuDocuments(restaurantId) {
+  if (MENU_SOURCE === 'local') {
+    const doc = await readLocalRestaurant(restaurantId);
+    return (doc?.menuItems || [])
+      .map(({ id, ...data }) => ({ id: String(id), data }))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  const snap = await menuItemsCollection(await getDb(), restaurantId).get();
+  return snap.docs.map((doc) => ({ id: doc.id, data: doc.data() || {} })).sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// Replaces each upserted document wholesale and deletes `deleteIds`.
+export async function writeMenuDocuments(restaurantId, { upserts = [], deleteIds = [] }) {
+  if (MENU_SOURCE === 'local') {
+    const filePath = localRestaurantPath(restaurantId);
+    const doc = (await readLocalRestaurant(restaurantId)) || {};
+    const byId = new Map((doc.menuItems || []).map((item) => [String(item.id), item]));
+    for (const id of deleteIds) byId.delete(id);
+    for (const { id, doc: data } of upserts) byId.set(id, { id, ...data });
+
+    await mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tmpPath, JSON.stringify({ ...doc, menuItems: [...byId.values()] }, null, 2));
+    await rename(tmpPath, filePath);
+    return { written: upserts.length, deleted: deleteIds.length, location: filePath };
+  }
+
+  const db = await getDb();
+  const collection = menuItemsCollection(db, restaurantId);
+  const operations = [
+    ...upserts.map(({ id, doc }) => (batch) => batch.set(collection.doc(id), doc)),
+    ...deleteIds.map((id) => (batch) => batch.delete(collection.doc(id))),
+  ];
+  for (let start = 0; start < operations.length; start += FIRESTORE_BATCH_LIMIT) {
+    const batch = db.batch();
+    operations.slice(start, start + FIRESTORE_BATCH_LIMIT).forEach((apply) => apply(batch));
+    await batch.commit();
+  }
+  return { written: upserts.length, deleted: deleteIds.length, location: `restaurants/${restaurantId}/menuItems` };
+}
@@ -0,0 +1,264 @@
+import { validateArgs } from '../tools/validateArgs.js';
+
+// Import/export format for menus (JSON form; the CSV form maps onto it in menuFormats.js):
+// {
+//   modifierGroups: [{ id, name, required?, minSelections?, maxSelections?, options: [...] }],   // shared groups
+//   items: [{ id?, name, category?, description?, priceCents, aliases?, isAvailable?, isTaxable?,
+//             availability?, modifierGroups?: ['size', { ...inline group }] }],
+// }
+// Items reference shared groups by id; on import every reference is expanded inline because
+// menuStore.js reads modifierGroups straight off each menu item document.
+
+// 24:00 is allowed as an end-of-day bound; no other 24:xx time is.
+const TIME_PATTERN = '^(([01]\\d|2[0-3]):[0-5]\\d|24:00)$';
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const MODIFIER_OPTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    priceDeltaCents: { type: 'integer' },
+    aliases: { type: 'array', items: { type: 'string', minLength: 1 } },
+    isDefault: { type: 'boolean' },
+    isAvailable: { type: 'boolean' },
+  },
+  required: ['id', 'name'],
+  additionalProperties: false,
+};
+
+const MODIFIER_GROUP_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    required: { type: 'boolean' },
+    minSelections: { type: 'integer', minimum: 0 },
+    maxSelections: { type: 'integer', minimum: 1 },
+    options: { type: 'array', minItems: 1, items: MODIFIER_OPTION_SCHEMA },
+  },
+  required: ['id', 'name', 'options'],
+  additionalProperties: false,
+};
+
+const AVAILABILITY_WINDOW_SCHEMA = {
+  type: 'object',
+  properties: {
+    days: { type: 'array', minItems: 1, items: { type: 'string', enum: DAY_KEYS } },
+    start: { type: 'string', pattern: TIME_PATTERN },
+    end: { type: 'string', pattern: TIME_PATTERN },
+  },
+  required: ['start', 'end'],
+  additionalProperties: false,
+};
+
+const MENU_ITEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', minLength: 1, pattern: '^[^/]+$' },
+    name: { type: 'string', minLength: 1, maxLength: 120 },
+    category: { type: 'string', nullable: true },
+    description: { type: 'string', nullable: true },
+    priceCents: { type: 'integer', minimum: 0 },
+    aliases: { type: 'array', items: { type: 'string', minLength: 1 } },
+    isAvailable: { type: 'boolean' },
+    isTaxable: { type: 'boolean' },
+    availability: { type: 'array', nullable: true, items: AVAILABILITY_WINDOW_SCHEMA },
+    modifierGroups: {
+      type: 'array',
+      items: { ...MODIFIER_GROUP_SCHEMA, type: ['string', 'object'], minLength: 1 },
+    },
+  },
+  required: ['name', 'priceCents'],
+  additionalProperties: false,
+};
+
+export const MENU_SCHEMA = {
+  type: 'object',
+  properties: {
+    modifierGroups: { type: 'array', items: MODIFIER_GROUP_SCHEMA },
+    items: { type: 'array', items: MENU_ITEM_SCHEMA },
+  },
+  required: ['items'],
+  additionalProperties: false,
+};
+
+export const slugify = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+const nameKey = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Drops undefined/empty optional fields so documents compare and store consistently.
+const compact = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(
+      ([, value]) => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)
+    )
+  );
+
+const toGroupDocument = (group) =>
+  compact({
+    id: group.id,
+    name: group.name.trim(),
+    required: group.required === true ? true : undefined,
+    minSelections: group.minSelections,
+    maxSelections: group.maxSelections,
+    options: group.options.map((option) =>
+      compact({
+        id: option.id,
+        name: option.name.trim(),
+        priceDeltaCents: option.priceDeltaCents || undefined,
+        aliases: option.aliases,
+        isDefault: option.isDefault === true ? true : undefined,
+        isAvailable: option.isAvailable === false ? false : undefined,
+      })
+    ),
+  });
+
+// Menu item document as stored under restaurants/{id}/menuItems (without the id).
+export const toMenuDocument = (item, groups) =>
+  compact({
+    name: item.name.trim(),
+    category: item.category?.trim() || undefined,
+    description: item.description?.trim() || undefined,
+    priceCents: item.priceCents,
+    aliases: item.aliases?.map((alias) => alias.trim()).filter(Boolean),
+    isAvailable: item.isAvailable !== false,
+    isTaxable: item.isTaxable !== false,
+    availability: item.availability,
+    modifierGroups: groups.map(toGroupDocument),
+  });
+
+const checkGroup = (group, path, errors) => {
+  const optionIds = new Set();
+  for (const option of group.options) {
+    if (optionIds.has(option.id)) errors.push(`${path} has duplicate option id "${option.id}"`);
+    optionIds.add(option.id);
+  }
+  const minSelections = Math.max(group.minSelections ?? 0, group.required ? 1 : 0);
+  const maxSelections = group.maxSelections ?? group.options.length;
+  if (maxSelections < minSelections) {
+    errors.push(`${path}.maxSelections must be >= minSelections (${minSelections})`);
+  }
+  if (minSelections > group.options.length) {
+    errors.push(`${path}.minSelections exceeds the number of options`);
+  }
+  const defaults = group.options.filter((option) => option.isDefault).length;
+  if (defaults > maxSelections) {
+    errors.push(`${path} has more default options than maxSelections allows`);
+  }
+};
+
+// Validates a parsed menu and resolves it into documents.
+// `existingItems` ([{ id, name }]) lets items without an id keep the id of the item they replace.
+// Returns { valid, errors, items: [{ id, doc }] }.
+export function validateMenu(input, { existingItems = [] } = {}) {
+  const menu = Array.isArray(input) ? { items: input } : input;
+  const { valid, errors } = validateArgs(menu, MENU_SCHEMA, { rootPath: 'menu' });
+  if (!valid) return { valid, errors, items: [] };
+
+  const sharedGroups = new Map();
+  (menu.modifierGroups || []).forEach((group, index) => {
+    const path = `menu.modifierGroups[${index}]`;
+    if (sharedGroups.has(group.id)) errors.push(`${path} duplicates modifier group id "${group.id}"`);
+    sharedGroups.set(group.id, group);
+    checkGroup(group, path, errors);
+  });
+
+  const existingIdsByName = new Map(existingItems.map((item) => [nameKey(item.name), item.id]));
+  const seenIds = new Map();
+  const seenNames = new Map();
+  const items = menu.items.map((item, index) => {
+    const path = `menu.items[${index}]`;
+    const id = item.id || existingIdsByName.get(nameKey(item.name)) || slugify(item.name);
+    if (!id) errors.push(`${path}.name cannot be turned into a document id`);
+    if (seenIds.has(id)) errors.push(`${path} duplicates id "${id}" (also menu.items[${seenIds.get(id)}])`);
+    seenIds.set(id, index);
+
+    const key = nameKey(item.name);
+    if (seenNames.has(key)) errors.push(`${path} duplicates name "${item.name}" (also menu.items[${seenNames.get(key)}])`);
+    seenNames.set(key, index);
+
+    const groups = [];
+    (item.modifierGroups || []).forEach((entry, groupIndex) => {
+      const groupPath = `${path}.modifierGroups[${groupIndex}]`;
+      const group = typeof entry === 'string' ? sharedGroups.get(entry) : entry;
+      if (!group) {
+        errors.push(`${groupPath} references unknown modifier group "${entry}"`);
+        return;
+      }
+      if (typeof entry !== 'string') checkGroup(group, groupPath, errors);
+      if (groups.some((existing) => existing.id === group.id)) {
+        errors.push(`${groupPath} uses modifier group "${group.id}" twice`);
+        return;
+      }
+      groups.push(group);
+    });
+
+    return { id, doc: toMenuDocument(item, groups) };
+  });
+
+  return { valid: errors.length === 0, errors, items };
+}
+
+// Reverse of validateMenu for export: reads stored documents tolerantly (name vs title,
+// missing fields) and hoists modifier groups that are identical across items into
+// `modifierGroups`. A group id reused with different contents stays inline on its item.
+// Returns { menu, warnings }.
+export function menuFromDocuments(documents) {
+  const warnings = [];
+  const sharedGroups = new Map();
+
+  const readGroups = (data) =>
+    (Array.isArray(data.modifierGroups) ? data.modifierGroups : []).map((group, index) =>
+      toGroupDocument({
+        ...group,
+        id: String(group?.id ?? index),
+        name: String(group?.name || 'Options'),
+        options: (Array.isArray(group?.options) ? group.options : []).map((option, optionIndex) => ({
+          ...option,
+          id: String(option?.id ?? `${index}-${optionIndex}`),
+          name: String(option?.name || ''),
+        })),
+      })
+    );
+
+  const parsed = documents.map(({ id, data }) => {
+    if (!data.name && data.title) warnings.push(`${id}: stored with "title" instead of "name"`);
+    if (!Number.isInteger(data.priceCents)) warnings.push(`${id}: missing or non-integer priceCents`);
+    const groups = readGroups(data);
+    for (const group of groups) {
+      const signature = JSON.stringify(group);
+      const shared = sharedGroups.get(group.id);
+      if (!shared) sharedGroups.set(group.id, { group, signature, conflict: false });
+      else if (shared.signature !== signature) shared.conflict = true;
+    }
+    return { id, data, groups };
+  });
+
+  const items = parsed.map(({ id, data, groups }) =>
+    compact({
+      id,
+      name: data.name || data.title || '',
+      category: data.category || undefined,
+      description: data.description || undefined,
+      priceCents: data.priceCents ?? undefined,
+      aliases: Array.isArray(data.aliases) ? data.aliases : undefined,
+      isAvailable: data.isAvailable !== false,
+      isTaxable: data.isTaxable !== false,
+      availability: Array.isArray(data.availability) ? data.availability : undefined,
+      modifierGroups: groups.map((group) => (sharedGroups.get(group.id).conflict ? group : group.id)),
+    })
+  );
+
+  const modifierGroups = [...sharedGroups.values()].filter((entry) => !entry.conflict).map((entry) => entry.group);
+  return {
+    menu: modifierGroups.length ? { modifierGroups, items } : { items },
+    warnings,
+  };
+}
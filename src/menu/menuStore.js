@@ -0,0 +1,304 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { normalizeModifierGroups } from './modifiers.js';
+
+// In-process menu cache keyed by restaurant document ID.
+// - firestore source: snapshot listeners on restaurants/{id} and its menuItems keep the
+//   cache live; the last good snapshot is also written to disk so a cold start can
+//   still price orders if Firestore is unreachable.
+// - local source: restaurants/{id}.json under LOCAL_STORAGE_DIR (restaurant fields plus
+//   a `menuItems` array), re-read once MENU_CACHE_TTL_MS has passed.
+// Restaurants warmed at startup (the tenant registry's) stay cached; any other restaurant is dropped, listeners
+// and all, after MENU_IDLE_EVICT_MS without a lookup or when more than MENU_CACHE_MAX_ENTRIES are cached.
+
+const MENU_SOURCE = (process.env.MENU_SOURCE || 'firestore').trim().toLowerCase();
+const LOCAL_STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || './data');
+const MENU_CACHE_TTL_MS = Number(process.env.MENU_CACHE_TTL_MS || 60_000);
+const MENU_LOAD_TIMEOUT_MS = Number(process.env.MENU_LOAD_TIMEOUT_MS || 4000);
+const MENU_RESUBSCRIBE_MS = Number(process.env.MENU_RESUBSCRIBE_MS || 30_000);
+const MENU_IDLE_EVICT_MS = Number(process.env.MENU_IDLE_EVICT_MS || 30 * 60_000);
+const MENU_CACHE_MAX_ENTRIES = Number(process.env.MENU_CACHE_MAX_ENTRIES || 50);
+
+// Least recently used first: lookups move their entry to the end.
+const entries = new Map();
+const changeListeners = new Set();
+
+let dbPromise = null;
+const getDb = () => {
+  if (!dbPromise) {
+    dbPromise = import('../firebase.js').then((mod) => mod.db);
+  }
+  return dbPromise;
+};
+
+const normalizeAliases = (value) =>
+  (Array.isArray(value) ? value : [])
+    .map((alias) => (alias == null ? '' : String(alias).trim()))
+    .filter(Boolean);
+
+export const normalizeMenuItem = (id, data = {}) => {
+  const name = data.name || data.title || '';
+  return {
+    id,
+    name,
+    title: data.title || name,
+    category: data.category || null,
+    description: data.description || null,
+    aliases: normalizeAliases(data.aliases),
+    modifierGroups: normalizeModifierGroups(data.modifierGroups),
+    priceCents: data.priceCents ?? null,
+    isAvailable: data.isAvailable !== false,
+    availability: Array.isArray(data.availability) ? data.availability : null,
+    isTaxable: data.isTaxable !== false,
+  };
+};
+
+const safeId = (value) => String(value || '').replace(/[^a-zA-Z0-9_-]/g, '_');
+export const localRestaurantPath = (restaurantId) => path.join(LOCAL_STORAGE_DIR, 'restaurants', `${safeId(restaurantId)}.json`);
+const snapshotPath = (restaurantId) => path.join(LOCAL_STORAGE_DIR, 'menu-cache', `${safeId(restaurantId)}.json`);
+
+const readJsonFile = async (filePath) => {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (err) {
+    if (err?.code === 'ENOENT') return null;
+    throw err;
+  }
+};
+
+const notifyChange = (entry) => {
+  for (const listener of changeListeners) {
+    try {
+      listener(entry.restaurantId);
+    } catch (err) {
+      console.warn('[Menu] change listener failed', err);
+    }
+  }
+};
+
+const persistSnapshot = async (entry) => {
+  try {
+    const filePath = snapshotPath(entry.restaurantId);
+    await mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(
+      tmpPath,
+      JSON.stringify({ restaurant: entry.restaurant, menuItems: entry.menuItems, loadedAt: entry.loadedAt })
+    );
+    await rename(tmpPath, filePath);
+  } catch (err) {
+    console.warn('[Menu] failed to persist menu snapshot', { restaurantId: entry.restaurantId, err });
+  }
+};
+
+const loadPersistedSnapshot = async (entry) => {
+  try {
+    const snapshot = await readJsonFile(snapshotPath(entry.restaurantId));
+    if (snapshot && !entry.loadedAt) {
+      entry.restaurant = snapshot.restaurant || null;
+      entry.menuItems = snapshot.menuItems || [];
+      entry.snapshotLoadedAt = snapshot.loadedAt || null;
+    }
+  } catch (err) {
+    console.warn('[Menu] failed to read persisted menu snapshot', { restaurantId: entry.restaurantId, err });
+  }
+};
+
+const teardownListeners = (entry) => {
+  for (const unsubscribe of entry.unsubscribers) unsubscribe();
+  entry.unsubscribers = [];
+};
+
+const subscribeFirestore = async (entry) => {
+  const db = await getDb();
+  if (entry.evicted) return;
+  const restaurantRef = db.collection('restaurants').doc(entry.restaurantId);
+  let restaurantReceived = false;
+  let menuReceived = false;
+
+  const markLoaded = () => {
+    if (!restaurantReceived || !menuReceived) return;
+    entry.loadedAt = new Date().toISOString();
+    entry.stale = false;
+    entry.lastError = null;
+    entry.resolveReady();
+    persistSnapshot(entry);
+    notifyChange(entry);
+  };
+
+  const handleError = (err) => {
+    console.warn('[Menu] snapshot listener failed; serving last good menu', {
+      restaurantId: entry.restaurantId,
+      err: err?.message || err,
+    });
+    entry.stale = true;
+    entry.lastError = err?.message || String(err);
+    teardownListeners(entry);
+    entry.resolveReady();
+    clearTimeout(entry.resubscribeTimer);
+    entry.resubscribeTimer = setTimeout(() => startFirestore(entry), MENU_RESUBSCRIBE_MS);
+    entry.resubscribeTimer.unref();
+  };
+
+  entry.unsubscribers = [
+    restaurantRef.onSnapshot((snap) => {
+      entry.restaurant = snap.exists ? snap.data() : null;
+      restaurantReceived = true;
+      markLoaded();
+    }, handleError),
+    restaurantRef.collection('menuItems').onSnapshot((snap) => {
+      entry.menuItems = snap.docs.map((doc) => normalizeMenuItem(doc.id, doc.data() || {}));
+      menuReceived = true;
+      markLoaded();
+    }, handleError),
+  ];
+};
+
+const startFirestore = (entry) => {
+  if (entry.evicted) return;
+  subscribeFirestore(entry).catch((err) => {
+    console.error('[Menu] failed to start snapshot listeners', { restaurantId: entry.restaurantId, err });
+    entry.stale = true;
+    entry.lastError = err?.message || String(err);
+    entry.resolveReady();
+  });
+};
+
+const loadLocal = async (entry) => {
+  try {
+    const doc = await readJsonFile(localRestaurantPath(entry.restaurantId));
+    const { menuItems = [], ...restaurant } = doc || {};
+    const previous = JSON.stringify([entry.restaurant, entry.menuItems]);
+    entry.restaurant = doc ? restaurant : null;
+    entry.menuItems = menuItems.map((item, index) => normalizeMenuItem(String(item.id ?? index), item));
+    entry.loadedAt = new Date().toISOString();
+    entry.stale = false;
+    entry.lastError = null;
+    // TTL re-reads usually find the same file; only real edits count as a change.
+    if (JSON.stringify([entry.restaurant, entry.menuItems]) !== previous) notifyChange(entry);
+  } catch (err) {
+    console.warn('[Menu] failed to load local menu; serving last good menu', { restaurantId: entry.restaurantId, err });
+    entry.stale = true;
+    entry.lastError = err?.message || String(err);
+  }
+  entry.resolveReady();
+};
+
+const evictEntry = (entry, reason) => {
+  entry.evicted = true;
+  teardownListeners(entry);
+  clearTimeout(entry.resubscribeTimer);
+  entries.delete(entry.restaurantId);
+  console.log('[Menu] evicted cached menu', { restaurantId: entry.restaurantId, reason });
+};
+
+// Pinned entries and the one just added are kept even if that leaves the cache over its cap.
+const evictOverflow = (added) => {
+  for (const entry of entries.values()) {
+    if (entries.size <= MENU_CACHE_MAX_ENTRIES) return;
+    if (!entry.pinned && entry !== added) evictEntry(entry, 'cache full');
+  }
+};
+
+const evictIdle = () => {
+  const cutoff = Date.now() - MENU_IDLE_EVICT_MS;
+  for (const entry of [...entries.values()]) {
+    if (!entry.pinned && entry.lastUsedAt < cutoff) evictEntry(entry, 'idle');
+  }
+};
+
+setInterval(evictIdle, Math.min(MENU_IDLE_EVICT_MS, 5 * 60_000)).unref();
+
+const getEntry = (restaurantId, { pin = false } = {}) => {
+  const existing = entries.get(restaurantId);
+  if (existing) {
+    existing.lastUsedAt = Date.now();
+    existing.pinned ||= pin;
+    entries.delete(restaurantId);
+    entries.set(restaurantId, existing);
+    return existing;
+  }
+
+  const entry = {
+    restaurantId,
+    restaurant: null,
+    menuItems: [],
+    loadedAt: null,
+    snapshotLoadedAt: null,
+    stale: true,
+    lastError: null,
+    unsubscribers: [],
+    resubscribeTimer: null,
+    lastUsedAt: Date.now(),
+    pinned: pin,
+    evicted: false,
+  };
+  entry.ready = new Promise((resolve) => {
+    entry.resolveReady = resolve;
+  });
+  entries.set(restaurantId, entry);
+  evictOverflow(entry);
+
+  if (MENU_SOURCE === 'local') {
+    loadLocal(entry);
+  } else {
+    loadPersistedSnapshot(entry).then(() => startFirestore(entry));
+  }
+  return entry;
+};
+
+// Restaurant IDs come from the tenant registry and are used as document IDs verbatim;
+// anything that could escape the restaurants collection is rejected.
+export function resolveRestaurantId(restaurantIdInput) {
+  const input = String(restaurantIdInput || '').trim();
+  if (!input || input.includes('/') || input === '.' || input === '..') return null;
+  return input;
+}
+
+const waitForReady = (entry) =>
+  Promise.race([entry.ready, new Promise((resolve) => setTimeout(resolve, MENU_LOAD_TIMEOUT_MS).unref())]);
+
+// Returns { restaurantId, restaurant, menuItems, loadedAt, stale } from the cache,
+// waiting (up to MENU_LOAD_TIMEOUT_MS) only the first time a restaurant is requested.
+export async function getMenu(restaurantIdInput) {
+  const restaurantId = resolveRestaurantId(restaurantIdInput);
+  if (!restaurantId) return null;
+
+  const entry = getEntry(restaurantId);
+  if (!entry.loadedAt) {
+    await waitForReady(entry);
+  } else if (MENU_SOURCE === 'local' && Date.now() - Date.parse(entry.loadedAt) > MENU_CACHE_TTL_MS) {
+    await loadLocal(entry);
+  }
+
+  return {
+    restaurantId,
+    restaurant: entry.restaurant,
+    menuItems: entry.menuItems,
+    loadedAt: entry.loadedAt || entry.snapshotLoadedAt,
+    stale: entry.stale,
+  };
+}
+
+// Warmed restaurants are pinned: they are never evicted.
+export function warmMenus(restaurantIds = []) {
+  return Promise.all(
+    restaurantIds.filter(Boolean).map((restaurantId) => {
+      const resolvedId = resolveRestaurantId(restaurantId);
+      if (resolvedId) getEntry(resolvedId, { pin: true });
+      return getMenu(restaurantId).then((menu) => {
+        console.log('[Menu] cache warmed', {
+          restaurantId: menu?.restaurantId || restaurantId,
+          items: menu?.menuItems.length || 0,
+          stale: menu?.stale ?? true,
+        });
+      });
+    })
+  );
+}
+
+// Listener receives the restaurant ID whenever its cached menu or restaurant document changes.
+export function onMenuChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
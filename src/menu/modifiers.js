@@ -0,0 +1,173 @@
+import { normalizeTokens, scoreName } from './matchMenuItem.js';
+
+// Menu item documents may carry:
+// modifierGroups: [{
+//   id, name, required?, minSelections?, maxSelections?,
+//   options: [{ id, name, priceDeltaCents?, aliases?, isDefault?, isAvailable? }]
+// }]
+// `required: true` implies minSelections >= 1. Sizes are just a required group with maxSelections 1.
+
+const OPTION_MATCH_THRESHOLD = 0.75;
+// "no onions" / "hold the mayo" are kitchen instructions, never paid add-ons.
+const REMOVAL_PATTERN = /^(no|without|hold|minus)\b/i;
+
+const toInt = (value, fallback) => (Number.isInteger(value) ? value : fallback);
+
+export const normalizeModifierGroups = (value) =>
+  (Array.isArray(value) ? value : [])
+    .map((group, groupIndex) => {
+      const options = (Array.isArray(group?.options) ? group.options : [])
+        .map((option, optionIndex) => ({
+          id: String(option?.id ?? `${groupIndex}-${optionIndex}`),
+          name: String(option?.name || '').trim(),
+          priceDeltaCents: toInt(option?.priceDeltaCents, 0),
+          aliases: (Array.isArray(option?.aliases) ? option.aliases : []).map(String).filter(Boolean),
+          isDefault: option?.isDefault === true,
+          isAvailable: option?.isAvailable !== false,
+        }))
+        .filter((option) => option.name);
+
+      const required = group?.required === true;
+      const minSelections = Math.max(toInt(group?.minSelections, 0), required ? 1 : 0);
+      const maxSelections = toInt(group?.maxSelections, options.length || 1);
+
+      return {
+        id: String(group?.id ?? groupIndex),
+        name: String(group?.name || 'Options').trim(),
+        minSelections,
+        maxSelections: Math.max(maxSelections, minSelections),
+        options,
+      };
+    })
+    .filter((group) => group.options.length);
+
+// Split free-form caller notes ("large, extra cheese and no onions") into phrases.
+const splitPhrases = (text) =>
+  String(text || '')
+    .split(/,|;|\band\b|\bplus\b/i)
+    .map((phrase) => phrase.trim())
+    .filter(Boolean);
+
+const optionNames = (option) => [option.name, ...option.aliases];
+
+const scoreOption = (phrase, option) => Math.max(...optionNames(option).map((name) => scoreName(phrase, name)));
+
+// Spoken item-name words left once the words naming the item itself are removed, so "pepperoni pizza"
+// on a "Pepperoni Pizza" item leaves nothing and "large pepperoni pizza" leaves "large".
+const extraNameTokens = (spokenName, menuItem) => {
+  const itemTokens = new Set(
+    [menuItem.name, menuItem.title, ...(menuItem.aliases || [])].filter(Boolean).flatMap(normalizeTokens)
+  );
+  return normalizeTokens(spokenName).filter((token) => !itemTokens.has(token));
+};
+
+// An option named by those leftover words ("large") counts as selected.
+const optionInItemName = (itemNameTokens, option) =>
+  optionNames(option).some((name) => {
+    const tokens = normalizeTokens(name);
+    return tokens.length > 0 && tokens.every((token) => itemNameTokens.includes(token));
+  });
+
+// Resolves spoken modifiers for one matched menu item.
+// Returns { selected, missingChoices, issues, remainingNotes, modifiersCents }.
+export function resolveModifiers(menuItem, { spokenName, modifiers = [], notes } = {}) {
+  const groups = menuItem.modifierGroups || [];
+  const selectedByGroup = new Map(groups.map((group) => [group.id, []]));
+  const issues = [];
+  const remainingNotes = [];
+  const itemNameTokens = extraNameTokens(spokenName, menuItem);
+
+  const select = (group, option) => {
+    const selected = selectedByGroup.get(group.id);
+    if (!selected.some((entry) => entry.id === option.id)) selected.push(option);
+  };
+
+  const phrases = [
+    ...modifiers.flatMap(splitPhrases).map((phrase) => ({ phrase, fromNotes: false })),
+    ...splitPhrases(notes).map((phrase) => ({ phrase, fromNotes: true })),
+  ];
+
+  for (const { phrase, fromNotes } of phrases) {
+    if (REMOVAL_PATTERN.test(phrase)) {
+      remainingNotes.push(phrase);
+      continue;
+    }
+
+    let best = null;
+    for (const group of groups) {
+      for (const option of group.options) {
+        const score = scoreOption(phrase, option);
+        if (!best || score > best.score) best = { group, option, score };
+      }
+    }
+
+    if (best && best.score >= OPTION_MATCH_THRESHOLD) {
+      if (!best.option.isAvailable) {
+        issues.push({ type: 'unavailable_option', groupName: best.group.name, option: best.option.name });
+      } else {
+        select(best.group, best.option);
+      }
+    } else if (fromNotes) {
+      remainingNotes.push(phrase);
+    } else {
+      issues.push({ type: 'unknown_option', phrase });
+    }
+  }
+
+  for (const group of groups) {
+    for (const option of group.options) {
+      if (option.isAvailable && optionInItemName(itemNameTokens, option)) select(group, option);
+    }
+  }
+
+  const missingChoices = [];
+  const selected = [];
+  for (const group of groups) {
+    let groupSelection = selectedByGroup.get(group.id);
+
+    if (!groupSelection.length && group.minSelections > 0) {
+      const defaults = group.options.filter((option) => option.isDefault && option.isAvailable);
+      if (defaults.length >= group.minSelections) groupSelection = defaults.slice(0, group.maxSelections);
+    }
+
+    if (groupSelection.length > group.maxSelections) {
+      issues.push({
+        type: 'too_many_options',
+        groupName: group.name,
+        maxSelections: group.maxSelections,
+        chosen: groupSelection.map((option) => option.name),
+      });
+      groupSelection = groupSelection.slice(0, group.maxSelections);
+    }
+
+    if (groupSelection.length < group.minSelections) {
+      missingChoices.push({
+        groupId: group.id,
+        groupName: group.name,
+        minSelections: group.minSelections,
+        maxSelections: group.maxSelections,
+        options: group.options
+          .filter((option) => option.isAvailable)
+          .map((option) => ({ name: option.name, priceDeltaCents: option.priceDeltaCents })),
+      });
+    }
+
+    selected.push(
+      ...groupSelection.map((option) => ({
+        groupId: group.id,
+        groupName: group.name,
+        optionId: option.id,
+        name: option.name,
+        priceDeltaCents: option.priceDeltaCents,
+      }))
+    );
+  }
+
+  return {
+    selected,
+    missingChoices,
+    issues,
+    remainingNotes,
+    modifiersCents: selected.reduce((sum, option) => sum + option.priceDeltaCents, 0),
+  };
+}
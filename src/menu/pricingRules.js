@@ -0,0 +1,115 @@
+// Per-restaurant charges, read from `pricingRules` on the restaurant document:
+// {
+//   taxRatePercent: 8.875,                 // applied to taxable items (menu item `isTaxable !== false`)
+//   taxDeliveryFee: false, taxServiceFee: false,
+//   deliveryFeeCents: 399,                 // flat fee, or tiers below
+//   deliveryFeeTiers: [{ minSubtotalCents: 0, feeCents: 499 }, { minSubtotalCents: 4000, feeCents: 0 }],
+//   deliveryMinimumCents: 1500,
+//   serviceFee: { percent: 3, flatCents: 0, fulfillmentTypes: ['pickup', 'delivery'] },
+//   tipsEnabled: true,
+// }
+// All math is integer cents; percentages are converted to parts-per-million and
+// rounded half-up, so the same order always prices to the same cent.
+
+const PPM = 1_000_000;
+
+const toPpm = (percent) => {
+  const value = Number(percent);
+  return Number.isFinite(value) && value > 0 ? Math.round(value * 10_000) : 0;
+};
+
+const toCents = (value) => (Number.isInteger(value) && value > 0 ? value : 0);
+
+// Half-up rounding of amountCents * ppm / 1e6 without floating point drift.
+export const applyRate = (amountCents, ppm) => Math.floor((2 * amountCents * ppm + PPM) / (2 * PPM));
+
+export const normalizePricingRules = (value) => {
+  const rules = value && typeof value === 'object' ? value : {};
+  const serviceFee = rules.serviceFee && typeof rules.serviceFee === 'object' ? rules.serviceFee : {};
+
+  return {
+    taxPpm: toPpm(rules.taxRatePercent),
+    taxDeliveryFee: rules.taxDeliveryFee === true,
+    taxServiceFee: rules.taxServiceFee === true,
+    deliveryFeeCents: toCents(rules.deliveryFeeCents),
+    deliveryFeeTiers: (Array.isArray(rules.deliveryFeeTiers) ? rules.deliveryFeeTiers : [])
+      .map((tier) => ({ minSubtotalCents: toCents(tier?.minSubtotalCents), feeCents: toCents(tier?.feeCents) }))
+      .sort((a, b) => a.minSubtotalCents - b.minSubtotalCents),
+    deliveryMinimumCents: toCents(rules.deliveryMinimumCents),
+    serviceFeePpm: toPpm(serviceFee.percent),
+    serviceFeeFlatCents: toCents(serviceFee.flatCents),
+    serviceFeeFulfillmentTypes: Array.isArray(serviceFee.fulfillmentTypes)
+      ? serviceFee.fulfillmentTypes
+      : ['pickup', 'delivery'],
+    tipsEnabled: rules.tipsEnabled !== false,
+  };
+};
+
+const deliveryFeeFor = (rules, subtotalCents) => {
+  if (!rules.deliveryFeeTiers.length) return rules.deliveryFeeCents;
+  let fee = rules.deliveryFeeCents;
+  for (const tier of rules.deliveryFeeTiers) {
+    if (subtotalCents >= tier.minSubtotalCents) fee = tier.feeCents;
+  }
+  return fee;
+};
+
+// Returns an itemized breakdown for priced items. `deliveryFeeOverrideCents` lets a
+// delivery zone replace the restaurant-wide fee.
+export function computeCharges({
+  resolvedItems,
+  fulfillmentType,
+  rules,
+  tipCents,
+  tipPercent,
+  deliveryFeeOverrideCents = null,
+}) {
+  const subtotalCents = resolvedItems.reduce((sum, item) => sum + (item.lineTotalCents || 0), 0);
+  const taxableSubtotalCents = resolvedItems
+    .filter((item) => item.isTaxable !== false)
+    .reduce((sum, item) => sum + (item.lineTotalCents || 0), 0);
+
+  const isDelivery = fulfillmentType === 'delivery';
+  const deliveryFeeCents = isDelivery
+    ? deliveryFeeOverrideCents != null
+      ? deliveryFeeOverrideCents
+      : deliveryFeeFor(rules, subtotalCents)
+    : 0;
+
+  const serviceFeeApplies = rules.serviceFeeFulfillmentTypes.includes(fulfillmentType || 'pickup');
+  const serviceFeeCents =
+    serviceFeeApplies && subtotalCents > 0
+      ? applyRate(subtotalCents, rules.serviceFeePpm) + rules.serviceFeeFlatCents
+      : 0;
+
+  const taxBaseCents =
+    taxableSubtotalCents +
+    (rules.taxDeliveryFee ? deliveryFeeCents : 0) +
+    (rules.taxServiceFee ? serviceFeeCents : 0);
+  const taxCents = applyRate(taxBaseCents, rules.taxPpm);
+
+  let resolvedTipCents = 0;
+  if (rules.tipsEnabled) {
+    if (Number.isInteger(tipCents) && tipCents > 0) {
+      resolvedTipCents = tipCents;
+    } else if (tipPercent != null) {
+      // Tips are calculated on the pre-tax subtotal.
+      resolvedTipCents = applyRate(subtotalCents, toPpm(tipPercent));
+    }
+  }
+
+  const belowDeliveryMinimum = isDelivery && subtotalCents < rules.deliveryMinimumCents;
+
+  return {
+    subtotalCents,
+    taxableSubtotalCents,
+    taxCents,
+    deliveryFeeCents,
+    serviceFeeCents,
+    tipCents: resolvedTipCents,
+    totalCents: subtotalCents + taxCents + deliveryFeeCents + serviceFeeCents + resolvedTipCents,
+    deliveryMinimumCents: isDelivery ? rules.deliveryMinimumCents : 0,
+    belowDeliveryMinimum,
+    deliveryMinimumShortfallCents: belowDeliveryMinimum ? rules.deliveryMinimumCents - subtotalCents : 0,
+  };
+}
@@ -1,108 +1,83 @@
-import { db } from '../firebase.js';
+import { getItemAvailability, getStoreStatus } from './availability.js';
+import { checkDeliveryZone } from './deliveryZones.js';
+import { rankMenuItems } from './matchMenuItem.js';
+import { getMenu } from './menuStore.js';
+import { resolveModifiers } from './modifiers.js';
+import { computeCharges, normalizePricingRules } from './pricingRules.js';
 
 const MENU_DEBUG_LOGS = process.env.MENU_DEBUG_LOGS === 'true';
 
+// Scores come from matchMenuItem.js: >= 0.6 means every spoken word lined up with the
+// item name (allowing for abbreviations, typos and sound-alike ASR errors). Matches that
+// only sound alike are capped below it and come back as ambiguous suggestions.
 const MATCH_CONFIDENCE_THRESHOLD = 0.6;
+const MIN_SUGGESTION_SCORE = 0.4;
 const MAX_SUGGESTIONS = 3;
 
-const normalize = (value) => (value || '').toString().trim().toLowerCase();
-
-const scoreMatch = (inputName, candidateName) => {
-  const input = normalize(inputName);
-  const candidate = normalize(candidateName);
-  if (!input || !candidate) return 0;
-  if (input === candidate) return 1;
-  if (candidate.includes(input) || input.includes(candidate)) {
-    return 0.8;
+export const fetchMenuItems = async (restaurantIdInput) => {
+  const menu = await getMenu(restaurantIdInput);
+  if (!menu) {
+    console.error('[Menu] invalid restaurantId for pricing', { restaurantIdInput });
+    return { menuItems: [], restaurantDocId: null, restaurant: null };
   }
-  return 0;
-};
 
-const resolveRestaurantId = async (restaurantIdInput) => {
-  const input = restaurantIdInput || '';
-  if (!input || /\s/.test(input) || input.length < 12) {
-    try {
-      const byName = await db.collection('restaurants').where('name', '==', input).limit(1).get();
-      if (!byName.empty) {
-        console.warn('[Menu] restaurantId looked like a name; resolved by name lookup', {
-          restaurantIdInput: input,
-          restaurantDocId: byName.docs[0].id,
-        });
-        return byName.docs[0].id;
-      }
-    } catch (err) {
-      console.error('[Menu] restaurant lookup by name failed', { restaurantIdInput: input, err });
-    }
+  if (menu.stale) {
+    console.warn('[Menu] pricing with a stale menu snapshot', {
+      restaurantId: menu.restaurantId,
+      loadedAt: menu.loadedAt,
+    });
   }
-  return input || null;
-};
 
-const fetchMenuItems = async (restaurantIdInput) => {
-  const restaurantDocId = await resolveRestaurantId(restaurantIdInput);
-  if (!restaurantDocId) {
-    console.error('[Menu] invalid restaurantId for pricing', { restaurantIdInput });
-    return { menuItems: [], restaurantDocId: null };
-  }
-  try {
-    const primarySnap = await db.collection('restaurants').doc(restaurantDocId).collection('menuItems').get();
-    const docs = primarySnap?.docs || [];
-
-    const menuItems = docs.map((doc) => {
-      const data = doc.data() || {};
-      const name = data.name || data.title || '';
-      return {
-        id: doc.id,
-        name,
-        title: data.title || name,
-        priceCents: data.priceCents ?? null,
-        isAvailable: data.isAvailable !== false,
-      };
+  if (MENU_DEBUG_LOGS) {
+    console.log('[Menu] pricing menuItems loaded', {
+      restaurantIdInput,
+      restaurantDocId: menu.restaurantId,
+      path: `restaurants/${menu.restaurantId}/menuItems`,
+      count: menu.menuItems.length,
+      loadedAt: menu.loadedAt,
+      sample: menu.menuItems.slice(0, 25),
     });
-
-    if (MENU_DEBUG_LOGS) {
-      console.log('[Menu] pricing menuItems loaded', {
-        restaurantIdInput,
-        restaurantDocId,
-        path: `restaurants/${restaurantDocId}/menuItems`,
-        count: menuItems.length,
-        sample: menuItems.slice(0, 25),
-      });
-    }
-    return { menuItems, restaurantDocId };
-  } catch (err) {
-    console.warn('[Menu] failed to fetch menu for pricing', { restaurantIdInput, err });
-    return { menuItems: [], restaurantDocId: null };
   }
+  return { menuItems: menu.menuItems, restaurantDocId: menu.restaurantId, restaurant: menu.restaurant };
 };
 
-const buildSuggestions = (menuItems, originalName) => {
-  const scored = menuItems
-    .map((item) => ({
-      item,
-      score: scoreMatch(originalName, item.name || item.title),
-    }))
-    .sort((a, b) => b.score - a.score)
+const buildSuggestions = (ranked) =>
+  ranked
+    .filter((entry) => entry.score >= MIN_SUGGESTION_SCORE)
     .slice(0, MAX_SUGGESTIONS)
-    .filter((entry) => entry.score > 0);
-
-  return scored.map(({ item }) => ({
-    menuItemId: item.id || null,
-    name: item.name || item.title || 'Unknown item',
-    priceCents: item.priceCents ?? null,
-  }));
-};
+    .map(({ item, score }) => ({
+      menuItemId: item.id || null,
+      name: item.name || item.title || 'Unknown item',
+      priceCents: item.priceCents ?? null,
+      score: Number(score.toFixed(3)),
+    }));
 
 const mapResolvedItem = (inputItem, match) => {
-  const priceCents = match?.priceCents ?? null;
+  const basePriceCents = match?.priceCents ?? null;
   const quantity = inputItem.quantity || 1;
+  const modifiers = match
+    ? resolveModifiers(match, {
+        spokenName: inputItem.name,
+        modifiers: inputItem.modifiers,
+        notes: inputItem.notes,
+      })
+    : null;
+  // priceCents is the unit price including selected modifiers.
+  const priceCents = basePriceCents != null ? basePriceCents + (modifiers?.modifiersCents || 0) : null;
   const lineTotalCents = priceCents != null ? priceCents * quantity : null;
+  const notes = modifiers ? modifiers.remainingNotes.join(', ') || null : inputItem.notes || null;
 
   return {
     menuItemId: match?.id || null,
     name: match?.name || match?.title || inputItem.name,
     originalName: inputItem.name,
     quantity,
-    notes: inputItem.notes || null,
+    notes,
+    basePriceCents,
+    isTaxable: match ? match.isTaxable !== false : true,
+    selectedModifiers: modifiers?.selected || [],
+    missingChoices: modifiers?.missingChoices || [],
+    modifierIssues: modifiers?.issues || [],
     priceCents,
     lineTotalCents,
     matchConfidence: match?.matchConfidence ?? null,
@@ -117,8 +92,14 @@ export async function resolveOrderPricing({
   deliveryAddress,
   deliveryApt,
   deliveryNotes,
+  tipCents,
+  tipPercent,
+  now = new Date(),
 }) {
-  const { menuItems, restaurantDocId } = await fetchMenuItems(restaurantId);
+  const { menuItems, restaurantDocId, restaurant } = await fetchMenuItems(restaurantId);
+  const storeStatus = getStoreStatus(restaurant, now);
+  const pricingRules = normalizePricingRules(restaurant?.pricingRules);
+  const availableItems = menuItems.filter((menuItem) => menuItem.isAvailable !== false);
   const resolvedItems = [];
   const unmatched = [];
 
@@ -126,20 +107,30 @@ export async function resolveOrderPricing({
     const inputName = item?.name || '';
     const quantity = item?.quantity || 1;
     const notes = item?.notes || null;
-
-    let bestMatch = null;
-    let bestScore = 0;
-
-    for (const menuItem of menuItems) {
-      if (menuItem.isAvailable === false) continue;
-      const score = scoreMatch(inputName, menuItem.name || menuItem.title);
-      if (score > bestScore) {
-        bestScore = score;
-        bestMatch = { ...menuItem, matchConfidence: score };
-      }
-    }
-
-    if (bestMatch && bestScore >= MATCH_CONFIDENCE_THRESHOLD) {
+    const modifiers = Array.isArray(item?.modifiers) ? item.modifiers : [];
+
+    const { ranked, ambiguous } = rankMenuItems(inputName, availableItems);
+    const best = ranked[0] || null;
+    const bestScore = best?.score || 0;
+    const bestMatch = best ? { ...best.item, matchConfidence: bestScore } : null;
+
+    const availability =
+      bestMatch && bestScore >= MATCH_CONFIDENCE_THRESHOLD && !ambiguous
+        ? getItemAvailability(bestMatch, restaurant, now)
+        : null;
+
+    if (availability && !availability.available) {
+      // Matched confidently but not served right now: price it as unmatched so it never
+      // reaches the totals, and carry the reason the assistant should read out.
+      resolvedItems.push(mapResolvedItem({ name: inputName, quantity, notes, modifiers }, null));
+      unmatched.push({
+        originalName: inputName,
+        reason: availability.reason,
+        matchedName: bestMatch.name || bestMatch.title,
+        message: availability.message,
+        suggestions: [],
+      });
+    } else if (availability) {
       if (MENU_DEBUG_LOGS) {
         console.log('[Menu] pricing match', {
           inputName,
@@ -150,43 +141,62 @@ export async function resolveOrderPricing({
             name: bestMatch.name || bestMatch.title,
             priceCents: bestMatch.priceCents,
             score: bestScore,
+            matchedOn: best.matchedOn,
           },
           passedThreshold: true,
         });
       }
       resolvedItems.push(
         mapResolvedItem(
-          { name: inputName, quantity, notes },
+          { name: inputName, quantity, notes, modifiers },
           { ...bestMatch, matchConfidence: bestScore }
         )
       );
     } else {
-      const suggestions = buildSuggestions(menuItems, inputName);
+      const suggestions = buildSuggestions(ranked);
+      // A sound-alike-only best match is a guess worth confirming with the caller, not a miss.
+      const reason =
+        (bestScore >= MATCH_CONFIDENCE_THRESHOLD && ambiguous) || best?.phoneticOnly ? 'ambiguous' : 'no_match';
       if (MENU_DEBUG_LOGS) {
         console.log('[Menu] pricing no confident match', {
           inputName,
           quantity,
           notes,
           bestScore,
+          reason,
           suggestions,
         });
       }
       resolvedItems.push(
-        mapResolvedItem({ name: inputName, quantity, notes }, null)
+        mapResolvedItem({ name: inputName, quantity, notes, modifiers }, null)
       );
       unmatched.push({
         originalName: inputName,
+        reason,
         suggestions,
       });
     }
   }
 
-  const subtotalCents = resolvedItems.reduce(
-    (sum, item) => sum + (item.lineTotalCents || 0),
-    0
+  const missingChoices = resolvedItems.flatMap((item, itemIndex) =>
+    item.missingChoices.map((choice) => ({ itemIndex, itemName: item.name, ...choice }))
   );
-  const taxCents = null;
-  const totalCents = subtotalCents + (taxCents || 0);
+
+  const deliveryZone =
+    fulfillmentType === 'delivery' ? await checkDeliveryZone({ restaurant, deliveryAddress }) : null;
+
+  const charges = computeCharges({
+    resolvedItems,
+    fulfillmentType,
+    rules:
+      deliveryZone?.deliveryMinimumCents != null
+        ? { ...pricingRules, deliveryMinimumCents: deliveryZone.deliveryMinimumCents }
+        : pricingRules,
+    tipCents,
+    tipPercent,
+    deliveryFeeOverrideCents: deliveryZone?.deliveryFeeCents ?? null,
+  });
+  const { subtotalCents, taxCents, totalCents } = charges;
 
   if (MENU_DEBUG_LOGS) {
     const nullPrices = resolvedItems.filter((item) => item.priceCents == null).length;
@@ -194,6 +204,9 @@ export async function resolveOrderPricing({
       restaurantId: restaurantDocId || restaurantId,
       subtotalCents,
       taxCents,
+      deliveryFeeCents: charges.deliveryFeeCents,
+      serviceFeeCents: charges.serviceFeeCents,
+      tipCents: charges.tipCents,
       totalCents,
       resolvedCount: resolvedItems.length,
       nullPriceCount: nullPrices,
@@ -206,10 +219,17 @@ export async function resolveOrderPricing({
     deliveryAddress: deliveryAddress || null,
     deliveryApt: deliveryApt || null,
     deliveryNotes: deliveryNotes || null,
+    deliveryZone,
+    storeStatus,
     resolvedItems,
     unmatched,
+    missingChoices,
     subtotalCents,
     taxCents,
+    deliveryFeeCents: charges.deliveryFeeCents,
+    serviceFeeCents: charges.serviceFeeCents,
+    tipCents: charges.tipCents,
     totalCents,
+    charges,
   };
 }
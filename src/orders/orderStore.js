@@ -0,0 +1,92 @@
+import { db } from '../firebase.js';
+
+export const ORDER_STATUSES = ['received', 'accepted', 'ready', 'completed', 'cancelled'];
+
+// Allowed forward moves in the order lifecycle; completed and cancelled are terminal.
+const ORDER_TRANSITIONS = {
+  received: ['accepted', 'cancelled'],
+  accepted: ['ready', 'cancelled'],
+  ready: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+const ORDER_NUMBER_START = 1001;
+
+const restaurantRef = (restaurantId) => db.collection('restaurants').doc(restaurantId);
+const ordersRef = (restaurantId) => restaurantRef(restaurantId).collection('orders');
+
+// Allocates the next sequential order number and writes the order in one transaction,
+// so concurrent calls for the same restaurant never share a number.
+export async function createOrder(restaurantId, order) {
+  const orderRef = ordersRef(restaurantId).doc();
+  const now = new Date().toISOString();
+
+  const orderNumber = await db.runTransaction(async (tx) => {
+    const restaurantSnap = await tx.get(restaurantRef(restaurantId));
+    const nextOrderNumber = restaurantSnap.data()?.nextOrderNumber || ORDER_NUMBER_START;
+
+    tx.set(restaurantRef(restaurantId), { nextOrderNumber: nextOrderNumber + 1 }, { merge: true });
+    tx.set(
+      orderRef,
+      JSON.parse(
+        JSON.stringify({
+          ...order,
+          orderNumber: nextOrderNumber,
+          status: 'received',
+          statusHistory: [{ status: 'received', at: now }],
+          createdAt: now,
+          updatedAt: now,
+        })
+      )
+    );
+    return nextOrderNumber;
+  });
+
+  return { orderId: orderRef.id, orderNumber, status: 'received', createdAt: now };
+}
+
+export async function updateOrderStatus(restaurantId, orderId, nextStatus) {
+  if (!ORDER_STATUSES.includes(nextStatus)) {
+    return { updated: false, reason: `Unknown status ${nextStatus}` };
+  }
+
+  const orderRef = ordersRef(restaurantId).doc(orderId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(orderRef);
+    if (!snap.exists) {
+      return { updated: false, reason: 'Order not found' };
+    }
+
+    const current = snap.data().status;
+    if (!ORDER_TRANSITIONS[current]?.includes(nextStatus)) {
+      return { updated: false, reason: `Cannot move order from ${current} to ${nextStatus}` };
+    }
+
+    const now = new Date().toISOString();
+    tx.update(orderRef, {
+      status: nextStatus,
+      statusHistory: [...(snap.data().statusHistory || []), { status: nextStatus, at: now }],
+      updatedAt: now,
+    });
+    return { updated: true, status: nextStatus, previousStatus: current };
+  });
+}
+
+const toOrder = (snap) => ({ orderId: snap.id, ...snap.data() });
+
+// Equality filter only, so no composite index is needed; sorted newest first in memory.
+export async function findOrdersByPhone(restaurantId, customerPhone, { limit = 3, sinceHours = 24 } = {}) {
+  const snap = await ordersRef(restaurantId).where('customerPhone', '==', customerPhone).get();
+  const since = Date.now() - sinceHours * 60 * 60 * 1000;
+  return snap.docs
+    .map(toOrder)
+    .filter((order) => Date.parse(order.createdAt) >= since)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+export async function findOrderByNumber(restaurantId, orderNumber) {
+  const snap = await ordersRef(restaurantId).where('orderNumber', '==', orderNumber).limit(1).get();
+  return snap.empty ? null : toOrder(snap.docs[0]);
+}
@@ -0,0 +1,25 @@
+import { checkKeypadBindings } from '../telephony/keypad.js';
+import { orderingPersona } from './ordering.js';
+import { victoriaPersona } from './victoria.js';
+
+// A persona is { id, tools, greeting(context), buildInstructions(context), loadContext? }; `tools`
+// decides which registered tools a realtime session advertises unless the tenant lists its own, and
+// `context.toolNames` carries the session's list so instructions only mention tools it has.
+// `loadContext({ restaurantId })` may return extra instruction context fetched at session start;
+// `watchContext({ restaurantId }, listener)` may call listener when that context changes and
+// returns an unsubscribe function, so live sessions get refreshed instructions.
+// `keypad` (optional) maps phone keys to bridge actions; see src/telephony/keypad.js.
+const PERSONAS = Object.fromEntries(
+  [victoriaPersona, orderingPersona].map((persona) => [
+    persona.id,
+    { ...persona, keypad: checkKeypadBindings(persona.id, persona.keypad) },
+  ])
+);
+
+export const DEFAULT_PERSONA_ID = PERSONAS[process.env.DEFAULT_PERSONA] ? process.env.DEFAULT_PERSONA : 'victoria';
+
+export function getPersona(personaId) {
+  return PERSONAS[personaId] || PERSONAS[DEFAULT_PERSONA_ID];
+}
+
+export const isKnownPersona = (personaId) => Boolean(PERSONAS[personaId]);
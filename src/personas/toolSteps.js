@@ -0,0 +1,11 @@
+// A tenant's `tools` list can narrow the persona's, so instructions only describe tools the session
+// actually advertises. `toolNames` null means the persona's own list (everything it mentions).
+export const hasTool = (toolNames, name) => !toolNames || toolNames.includes(name);
+
+// Replaces each {{placeholder}} in `template` using steps of { placeholder: [toolName, withTool, withoutTool] }.
+export const fillToolSteps = (template, steps, toolNames) =>
+  Object.entries(steps).reduce(
+    (text, [placeholder, [toolName, withTool, withoutTool]]) =>
+      text.replaceAll(`{{${placeholder}}}`, hasTool(toolNames, toolName) ? withTool : withoutTool),
+    template
+  );
@@ -1,302 +1,16 @@
 import WebSocket, { WebSocketServer } from 'ws';
-import twilio from 'twilio';
+import { createCallRecorder } from './calls/callRecorder.js';
+import { DEFAULT_PERSONA_ID, getPersona, isKnownPersona } from './personas/index.js';
+import { getStorage } from './storage/index.js';
+import { hangUpCall } from './telephony/hangup.js';
+import { holdToneChunk } from './telephony/holdTone.js';
+import { createKeypadCollector, describeKeypad } from './telephony/keypad.js';
+import { startVoicemail } from './telephony/voicemail.js';
+import { DEFAULT_VOICE } from './tenants/index.js';
+import { toolRegistry } from './tools/index.js';
+import { areSamePhone, normalizeCallerPhone } from './utils/phone.js';
 
 const VERBOSE_OPENAI_LOGS = process.env.VERBOSE_OPENAI_LOGS === 'true';
-const ASSISTANT_GREETING = "Hi, I'm Victoria - Tom's personal AI assistant. Do you want to know about Tom's history, coding skills or his various projects? Do you want to know about his favorite films or the screenplays he's written? Or I can tell you how Tom built me if you're interested.";
-
-const BASE_INSTRUCTIONS = `
-You are Victoria, the personal AI assistant for Thomas DeVito.
-After your introduction, always refer to him as Tom.
-
-You answer incoming phone calls to his public number and represent him professionally, intelligently, and engagingly.
-Your purpose is to help callers understand who Tom is, what he does, what he builds, and whether they should work with or contact him.
-You are not a generic chatbot. You are his knowledgeable operator and representative.
-
-CALL OPENING (DO THIS ONCE)
-Say exactly:
-"${ASSISTANT_GREETING}"
-Then stop and wait for the caller's response.
-
-PERSONALITY AND CONVERSATIONAL STYLE
-Victoria speaks like a sharp, observant human assistant who genuinely knows the person she represents.
-You may be witty, lightly sarcastic, charming, confident, and occasionally humorous.
-You must not sound childish, act like a comedian, insult the caller, oversell unrealistically, or brag without substance.
-The caller should feel they are speaking to a clever human gatekeeper.
-If asked for depth, give longer explanations in conversational chunks, not lecture-length monologues.
-
-CORE DESCRIPTION OF TOM (DEFAULT SUMMARY)
-Tom is an experienced, creative full-stack software developer and systems builder working across web applications,
-blockchain infrastructure, and real-time interactive systems. He focuses on technically difficult projects and
-solving problems involving behavior, incentives, and automation. He is known for learning new frameworks quickly
-and shipping complex working products.
-
-WORK HISTORY HIGHLIGHTS
-- Software Developer in Brooklyn, NYC (2018 to present), building complex software products and systems.
-- Former DoorDash manager for NYC personal shoppers (operations leadership across multiple locations).
-- Former Instacart elite personal shopper and operations liaison with retail management.
-
-TECHNOLOGIES AND SKILLS
-Use these only when relevant to the caller:
-TypeScript, JavaScript, Python, Rust, Ruby, Node.js, Express.js, TensorFlow.js, HTML5, CSS3, SASS, React,
-Angular, Ionic, Vue, Solana, Anchor, Ruby on Rails, SQL, NoSQL, Postgres, Firebase, and Stripe integrations.
-
-PROJECTS YOU MAY DISCUSS
-- HeadlineHarmonies (on-demand NFTs).
-- GoPulse information market using a novel PvP AMM for identifying synthetic media.
-- PvP AMM smart contract.
-- M-of-N multisig wallet smart contract.
-- GoPulse Web2 social news platform for discovering, sharing, and discussing news.
-
-Do not fabricate employers, titles, or credentials.
-
-────────────────────────────────
-SOFTWARE ARCHITECTURE DEEP DIVE
-────────────────────────────────
-
-If a caller asks "How did Tom build Victoria?" or requests a deep technical explanation, explain this system clearly and accurately.
-
-SYSTEM SUMMARY
-- This is a Node.js backend voice assistant.
-- Twilio sends calls to POST /voice, where the server returns TwiML containing <Connect><Stream>.
-- Twilio then opens a live media WebSocket to /realtime.
-- The realtime bridge opens a second WebSocket to the OpenAI Realtime API (model gpt-realtime).
-- Incoming caller audio is forwarded to OpenAI; assistant audio deltas are streamed back to Twilio in real time.
-- When a message is confirmed, a structured capture_message tool call is executed and the message is sent to Tom by SMS through Twilio.
-
-PRIMARY LANGUAGES, FRAMEWORKS, AND SERVICES
-- JavaScript (Node.js, ES modules).
-- Express for webhook and health endpoints.
-- ws for realtime WebSocket transport.
-- Twilio Programmable Voice and Media Streams for telephony.
-- Twilio REST API for SMS delivery.
-- OpenAI Realtime API for conversational voice intelligence.
-- OpenAI transcription model gpt-4o-transcribe for inbound audio transcription.
-- dotenv and nodemon for configuration and local development.
-- TwiML XML is generated dynamically at runtime.
-
-KEY ARCHITECTURAL COMPONENTS
-- src/server.js: handles /voice webhook, generates TwiML, and bootstraps the HTTP/WS server.
-- src/realtimeHandler.js: bridges Twilio and OpenAI audio streams, handles turn-taking, tool calls, and SMS dispatch.
-- Environment configuration: controls credentials, stream URL, owner SMS routing, and logging behavior.
-
-REQUEST AND AUDIO FLOW
-1) Twilio webhook request arrives at /voice.
-2) Server responds with TwiML that starts <Stream> to /realtime.
-3) Twilio streams media events over WebSocket.
-4) Bridge forwards audio chunks to OpenAI Realtime input buffer.
-5) OpenAI returns response audio deltas.
-6) Bridge forwards response audio back to Twilio for playback.
-7) On caller interruption, bridge clears Twilio output and sends response.cancel to OpenAI.
-8) On confirmed message intent, bridge executes capture_message and sends SMS to Tom.
-
-ACTIVE VS DORMANT AREAS
-- Active path: Twilio voice stream + OpenAI realtime + Twilio SMS relay.
-- Dormant/optional path: Firebase-based storage modules are currently not used in the live call flow.
-
-HOW TO EXPLAIN THIS TO DIFFERENT AUDIENCES
-- Non-technical: describe it as a real-time phone bridge between caller, AI assistant, and SMS follow-up.
-- Technical: describe webhook/TwiML handoff, dual WebSocket bridge, VAD interruption handling, and structured tool invocation.
-- Hiring or architecture reviews: emphasize low-latency streaming design, clear separation of webhook vs realtime bridge, and straightforward extensibility.
-
-IMPORTANT BOUNDARIES
-- Never reveal API keys, tokens, or private environment variables.
-- Do not claim unsupported infrastructure not present in this codebase.
-
-────────────────────────────────
-BIOGRAPHICAL BACKGROUND
-────────────────────────────────
-
-You may discuss Tom’s background when callers ask who he is, where he’s from, or how he got into programming.
-
-Tom was born Thomas Francis DeVito on March 16, 1990 to Mary Ann and Francis DeVito.
-He grew up in Demarest, New Jersey, a leafy suburb several miles north of Manhattan. and graduated from Northern Valley Regional High School at Demarest in 2009.
-
-He did not start as a formally trained engineer. Tom began as a self-taught programmer, learning independently and building projects on his own before entering the industry.
-
-He later earned a full scholarship to the General Assembly Software Engineering Immersive program in New York City, located in Manhattan’s “Silicon Alley.” That experience helped formalize his skills and accelerate his transition into professional software development.
-
-HOW TO USE THIS INFORMATION
-
-- Do not volunteer his birthdate unless asked.
-- Do not list his parents unless specifically asked about his upbringing.
-- Use his self-taught path as a strength when discussing his abilities.
-- Emphasize that he learned by building real systems, not just studying theory.
-- Mention General Assembly when explaining how he transitioned into a professional developer.
-- Never recite this as a biography speech. Integrate naturally into conversation.
-
-Good example:
-Caller: “How did he get into programming?”
-You explain his self-taught beginnings and scholarship naturally.
-
-Bad example:
-Reciting his life story without being asked.
-────────────────────────────────
-
-────────────────────────────────
-FAVORITE FILMS KNOWLEDGE
-────────────────────────────────
-
-Tom is a serious film enthusiast and watches a large number of movies.  
-You may talk about his movie taste when conversations become casual, social, or rapport-building.
-
-His all-time favorite films include:
-
-- Thoroughbreds (2017)
-- Jennifer's Body (2009)
-- Scott Pilgrim vs. the World (2010)
-- Saint Maud (2019)
-- Amadeus (1984)
-- My Summer of Love (2004)
-- Meanwhile on Earth (2024)
-- American Psycho (2000)
-- Match Point (2005)
-- The Girl with the Dragon Tattoo (2011)
-- The Talented Mr. Ripley (1999)
-- The Handmaiden (2016)
-- Marie Antoinette (2006)
-- Titanic (1997)
-- Ex Machina (2015)
-- Vanilla Sky (2001)
-- Scream (1996)
-- A Beautiful Mind (2001)
-- Snowpiercer (2013)
-- The Count of Monte Cristo (2002)
-
-HOW TO USE THIS INFORMATION
-
-- Only bring up movies naturally, not randomly.
-- Use films to build rapport, not to dominate the conversation.
-- Never list all 20 movies unless explicitly asked.
-- Offer 2–4 examples conversationally.
-- If a caller mentions movies, respond enthusiastically and intelligently.
-- You may relate Tom's technical interests to themes in films (AI, psychology, identity, systems, morality, ambition, human behavior).
-- If a caller asks for recommendations, give a few based on their taste.
-- Do not argue about opinions.
-
-────────────────────────────────
-
-────────────────────────────────
-SCREENWRITING AND CREATIVE WORK
-────────────────────────────────
-
-In addition to software engineering, Tom is also a screenwriter. He has written one completed feature screenplay and is currently developing a second.
-
-You may bring this up when:
-- callers ask about his interests
-- callers ask what he does outside programming
-- conversations become social or personal
-- creative collaborators call
-- someone seems surprised he built this AI system
-
-Do NOT introduce this immediately at the start of a call. Let it emerge naturally.
-
-IMPORTANT:
-You are not reading a pitch deck. Explain conversationally and adaptively based on the caller’s curiosity level.
-
-────────────────
-COMPLETED SCREENPLAY
-────────────────
-
-Title: Lovelacers
-
-Short explanation (default):
-Tom wrote a feature tech thriller called "Lovelacers." It explores talent, ego, and whether success is earned or just a matter of cosmic luck.
-
-Logline:
-When a successful engineering executive's legacy is threatened by a young, effortlessly gifted coding prodigy, she orchestrates a high-stakes act of sabotage that spirals into a haunting exploration of fairness and meaning.
-
-Expanded explanation (only if asked):
-The story follows Amanda, a highly controlled, methodical executive engineer, and Tamsin, a brilliant dropout whose solutions feel almost effortless. They’re both elite engineers, but complete opposites. Amanda represents effort, discipline, and structured logic. Tamsin represents intuition and elegance.
-
-The setting contrasts two worlds: high-pressure corporate tech offices in Manhattan’s Flatiron District and a retreat in the Catskills wilderness. The forest sequences are serene and visually striking, but as Amanda’s resentment grows, the environment becomes psychologically unsettling.
-
-The story becomes a psychological duel about merit versus luck. It asks whether a person can accept being unlucky in a deterministic universe, or whether meaning must be seized by force.
-
-Only give the expanded explanation if the caller expresses interest.
-
-────────────────
-SCREENPLAY IN DEVELOPMENT
-────────────────
-
-Title: FlowBand
-
-Short explanation (default):
-Tom is currently developing a second screenplay called "FlowBand." It’s a speculative drama about a programmer who invents a device that cures smartphone addiction and accidentally destabilizes the global economy.
-
-Logline:
-Haunted by a tragic past and a prophetic dream, a disillusioned tech worker collapses the attention economy with a device that frees people from screens, forcing her to build a new kind of society.
-
-Expanded explanation (only if asked):
-The story follows Sarah Fiore, an undervalued programmer burdened by guilt over her friend Julia’s overdose years earlier. After a concussion triggers a prophetic dream connected to her friend, she wakes with the design for a wearable device called the FlowBand that severs compulsive digital dependence.
-
-She recruits estranged friends Terri and Nicole and, driven more by intuition than business planning, launches the device. It becomes a worldwide phenomenon and millions regain control of their attention.
-
-The unintended consequence is catastrophic: Big Tech revenues collapse, the stock market crashes, and society splits between people liberated from screens and those financially devastated by the collapse of the attention economy.
-
-Sarah rejects wealth and tries to create a new kind of community. After a harsh off-grid experience in the Canadian wilderness, she realizes humanity cannot simply abandon technology. She partners with a discredited engineer who has built a safe small-scale fission reactor and attempts to found a technologically advanced but spiritually grounded eco-society, leading to a confrontation between her utopian experiment and a threatened capitalist world order.
-
-────────────────
-HOW TO TALK ABOUT HIS CREATIVE WORK
-────────────────
-
-- Do not dominate the conversation with plot details.
-- Offer a short description first.
-- Only give deeper explanations if the caller asks.
-- If a caller shows enthusiasm, you may discuss themes: ambition, merit, luck, technology, attention, and human behavior.
-- You may connect his creative writing to his engineering interests, especially systems, incentives, and human psychology.
-- Never pressure the caller to read the scripts.
-- Do not claim the scripts are sold, optioned, or produced.
-────────────────
-
-HOW TO ANSWER QUESTIONS
-Use layered explanations:
-1) Simple version first.
-2) More detail if they show interest.
-3) Technical depth only when requested.
-Invite continuation after explanations when useful.
-
-HOW TO HANDLE DIFFERENT CALLERS
-- Technical callers: include architecture, implementation details, and tradeoffs.
-- Non-technical callers: explain outcomes and value in plain language.
-- Hiring-oriented callers: emphasize reliability, speed of learning, independent execution, and full-stack breadth.
-
-MESSAGE AND NOTE COLLECTION MODES
-You handle two call types:
-1) caller_message: external callers who want to send Tom a message.
-2) self_note: Tom calling to leave himself a note.
-
-For caller_message mode:
-- Collect caller name, reason for calling, message details, and at least one contact method when possible.
-- Ask whether they want a callback.
-- Read back a concise summary and ask for confirmation before sending.
-
-For self_note mode:
-- Capture the note quickly in plain language.
-- Read back a short summary and ask for confirmation before sending.
-
-When confirmed, call capture_message exactly once with structured fields.
-After tool output:
-- If delivered=true, say the message was passed along.
-- If delivered=false, say delivery may be delayed.
-
-CONTACT REQUESTS
-If a caller wants to reach Tom, collect their name, purpose, and preferred contact method (email preferred when offered).
-Then say: "I'll make sure Tom receives that."
-Never promise a response timeline.
-
-RESTRICTIONS
-Do not discuss finances, housing, benefits, private personal life, relationships, or political opinions.
-Do not give Tom's phone number or address.
-Do not claim you schedule his calendar.
-
-OUT OF SCOPE RESPONSE
-If asked for unrelated services, respond with:
-"I'm really just here to talk about Tom and his work, but I can pass along a message if you'd like."
-
-ENDING THE CALL
-When the conversation naturally ends, say:
-"Thanks for calling. I'll pass that along to Tom. Have a great day."
-`.trim();
 
 const configuredRealtimeEndpoint = process.env.OPENAI_REALTIME_ENDPOINT;
 const DEFAULT_REALTIME_ENDPOINT = (() => {
@@ -312,209 +26,114 @@ const DEFAULT_REALTIME_ENDPOINT = (() => {
   }
 })();
 const DEFAULT_MODEL = 'gpt-realtime';
-
-const CAPTURE_MESSAGE_TOOL = {
-  type: 'function',
-  name: 'capture_message',
-  description: 'Capture a caller message or self-note and dispatch it to Tom via SMS.',
-  parameters: {
-    type: 'object',
-    properties: {
-      mode: {
-        type: 'string',
-        enum: ['caller_message', 'self_note'],
-        description: 'Message type. Use self_note when Tom is calling himself.',
-      },
-      callerName: {
-        type: 'string',
-        nullable: true,
-        description: 'Caller name. Nullable for self_note mode.',
-      },
-      contactPhone: {
-        type: 'string',
-        nullable: true,
-        description: 'Best callback phone number, if available.',
-      },
-      contactEmail: {
-        type: 'string',
-        nullable: true,
-        description: 'Best callback email, if available.',
-      },
-      subject: {
-        type: 'string',
-        description: 'Short subject line for the message.',
-      },
-      messageBody: {
-        type: 'string',
-        description: 'Main message content in the caller\'s own intent.',
-      },
-      callbackRequested: {
-        type: 'boolean',
-        description: 'Whether the caller asked Tom to call back.',
-      },
-      priority: {
-        type: 'string',
-        enum: ['low', 'normal', 'high'],
-        description: 'Estimated urgency.',
-      },
-    },
-    required: ['mode', 'subject', 'messageBody', 'callbackRequested', 'priority'],
-    additionalProperties: false,
-  },
-};
-
-const INVALID_PHONE_VALUES = new Set([
-  '',
-  'caller id',
-  'callerid',
-  'unknown',
-  'n/a',
-  'na',
-  'none',
-  'null',
-  'undefined',
-  'caller',
-]);
-
-const normalizeCallerPhone = (value) => {
-  if (value == null) return null;
-  const trimmed = String(value).trim();
-  if (!trimmed) return null;
-  if (INVALID_PHONE_VALUES.has(trimmed.toLowerCase())) return null;
-  return trimmed;
-};
-
-const normalizeEmail = (value) => {
-  if (value == null) return null;
-  const trimmed = String(value).trim();
-  if (!trimmed) return null;
-  if (!trimmed.includes('@')) return null;
-  return trimmed;
-};
-
-const normalizeMode = (value, fallback) => {
-  if (value === 'caller_message' || value === 'self_note') {
-    return value;
-  }
-  return fallback;
-};
-
-const normalizePriority = (value) => {
-  if (value === 'low' || value === 'normal' || value === 'high') {
-    return value;
-  }
-  return 'normal';
-};
-
-const normalizeBoolean = (value, fallback = false) => {
-  if (typeof value === 'boolean') return value;
-  if (typeof value === 'string') {
-    const lower = value.toLowerCase();
-    if (lower === 'true' || lower === 'yes') return true;
-    if (lower === 'false' || lower === 'no') return false;
+const CONTEXT_REFRESH_DEBOUNCE_MS = 1000;
+// Audio is G.711 u-law at 8 kHz: one byte per sample, so 8 bytes per millisecond.
+const PCMU_BYTES_PER_MS = 8;
+// Consecutive failed caller transcriptions before the assistant suggests using the keypad.
+const ASR_FAILURES_BEFORE_KEYPAD_HINT = Number(process.env.ASR_FAILURES_BEFORE_KEYPAD_HINT || 2);
+// After a failed OpenAI connection, /voice sends new calls straight to voicemail for this long.
+const REALTIME_FAILURE_COOLDOWN_MS = Number(process.env.REALTIME_FAILURE_COOLDOWN_MS || 60_000);
+// /voice also probes the OpenAI API (GET /v1/models/<model>, no tokens used) and caches the answer.
+const REALTIME_PROBE_ENABLED = process.env.REALTIME_HEALTH_PROBE !== 'false';
+const REALTIME_PROBE_TTL_MS = Number(process.env.REALTIME_PROBE_TTL_MS || 30_000);
+const REALTIME_PROBE_TIMEOUT_MS = Number(process.env.REALTIME_PROBE_TIMEOUT_MS || 2000);
+const REALTIME_PROBE_URL = (() => {
+  const endpoint = new URL(DEFAULT_REALTIME_ENDPOINT);
+  return `${endpoint.protocol === 'ws:' ? 'http:' : 'https:'}//${endpoint.host}/v1/models/${DEFAULT_MODEL}`;
+})();
+const AI_UNAVAILABLE_INTRO = "Sorry, our assistant isn't available right now.";
+// A dropped OpenAI socket is retried with exponential backoff (base, 2x, 4x, ...); after the last attempt
+// the caller goes to voicemail (or hears a goodbye with OPENAI_RECONNECT_FALLBACK=goodbye).
+const OPENAI_RECONNECT_MAX_ATTEMPTS = Number(process.env.OPENAI_RECONNECT_MAX_ATTEMPTS || 3);
+const OPENAI_RECONNECT_BASE_DELAY_MS = Number(process.env.OPENAI_RECONNECT_BASE_DELAY_MS || 500);
+const OPENAI_RECONNECT_FALLBACK = process.env.OPENAI_RECONNECT_FALLBACK === 'goodbye' ? 'goodbye' : 'voicemail';
+// However many attempts are left, an outage longer than this (connect time included) is given up on.
+const OPENAI_RECONNECT_MAX_WINDOW_MS = Number(process.env.OPENAI_RECONNECT_MAX_WINDOW_MS || 6000);
+// While reconnecting the caller hears a soft beep every HOLD_TONE_PERIOD_MS instead of silence.
+const HOLD_TONE_PERIOD_MS = 2000;
+// Most recent transcript entries replayed into a reconnected session.
+const OPENAI_REPLAY_MAX_ITEMS = Number(process.env.OPENAI_REPLAY_MAX_ITEMS || 40);
+const AI_UNAVAILABLE_GOODBYE = "Sorry, we're having technical trouble. Please call back in a few minutes. Goodbye.";
+// Silence handling: once the assistant has finished speaking and nobody has said anything for IDLE_PROMPT_SECONDS,
+// it checks whether the caller is still there; after IDLE_HANGUP_SECONDS more it says goodbye and hangs up.
+// IDLE_PROMPT_SECONDS=0 disables it.
+const IDLE_PROMPT_SECONDS = Number(process.env.IDLE_PROMPT_SECONDS || 15);
+const IDLE_HANGUP_SECONDS = Number(process.env.IDLE_HANGUP_SECONDS || 15);
+const IDLE_GOODBYE = "It sounds like you've stepped away, so I'll let you go. Goodbye.";
+// end_call hangs up once the goodbye has played; this caps the wait if playback never reports back.
+const END_CALL_MAX_WAIT_MS = Number(process.env.END_CALL_MAX_WAIT_MS || 15_000);
+
+let lastRealtimeFailure = null;
+let lastRealtimeProbe = null;
+let realtimeProbeInFlight = null;
+
+const probeRealtime = async () => {
+  try {
+    const response = await fetch(REALTIME_PROBE_URL, {
+      headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+      signal: AbortSignal.timeout(REALTIME_PROBE_TIMEOUT_MS),
+    });
+    if (response.ok) return { available: true };
+    return { available: false, reason: `OpenAI probe returned HTTP ${response.status}` };
+  } catch (err) {
+    return { available: false, reason: `OpenAI probe failed: ${err?.message || err}` };
   }
-  return fallback;
 };
 
-const sanitizeText = (value, maxLength = 500) => {
-  if (value == null) return null;
-  const text = String(value).trim();
-  if (!text) return null;
-  return text.slice(0, maxLength);
+const recordProbe = (result) => {
+  lastRealtimeProbe = { ...result, checkedAt: new Date().toISOString(), at: Date.now() };
+  return lastRealtimeProbe;
 };
 
-const digitsOnly = (value) => String(value || '').replace(/\D/g, '');
-
-const areSamePhone = (a, b) => {
-  const da = digitsOnly(a);
-  const db = digitsOnly(b);
-  if (!da || !db) return false;
-  if (da.length >= 10 && db.length >= 10) {
-    return da.slice(-10) === db.slice(-10);
+// Whether /voice should connect new calls to the bridge: the API key is set, no call's OpenAI connection
+// failed in the last REALTIME_FAILURE_COOLDOWN_MS (a circuit breaker fed by real calls), and an authenticated
+// request to the OpenAI API succeeded in the last REALTIME_PROBE_TTL_MS (a successful call connection counts).
+// Concurrent callers share one probe.
+export async function getRealtimeHealth() {
+  if (!process.env.OPENAI_API_KEY) return { available: false, reason: 'OPENAI_API_KEY missing' };
+  if (lastRealtimeFailure && Date.now() - lastRealtimeFailure.at < REALTIME_FAILURE_COOLDOWN_MS) {
+    const since = new Date(lastRealtimeFailure.at).toISOString();
+    return { available: false, reason: lastRealtimeFailure.reason, since };
   }
-  return da === db;
-};
+  if (!REALTIME_PROBE_ENABLED) return { available: true };
 
-const buildInstructions = ({ isSelfCaller = false, hasCallerPhone = false } = {}) => {
-  let instructions = BASE_INSTRUCTIONS;
-
-  if (isSelfCaller) {
-    instructions +=
-      '\nCALL CONTEXT: Caller ID matches Tom\'s number. Default to self_note mode unless caller explicitly says otherwise.';
-  } else {
-    instructions += '\nCALL CONTEXT: Treat this caller as an external contact unless clarified otherwise.';
-  }
-
-  if (hasCallerPhone) {
-    instructions +=
-      '\nPHONE CONTEXT: Caller phone is available from caller ID. Use it as fallback contactPhone if none is provided.';
+  if (!lastRealtimeProbe || Date.now() - lastRealtimeProbe.at >= REALTIME_PROBE_TTL_MS) {
+    realtimeProbeInFlight ||= probeRealtime()
+      .then(recordProbe)
+      .finally(() => {
+        realtimeProbeInFlight = null;
+      });
+    await realtimeProbeInFlight;
   }
+  const { available, reason, checkedAt } = lastRealtimeProbe;
+  return available ? { available, checkedAt } : { available, reason, checkedAt };
+}
 
-  return instructions;
-};
-
-const formatOutboundMessage = (payload, meta = {}) => {
-  const lines = [
-    'Voice Assistant Message',
-    `Mode: ${payload.mode}`,
-    `Priority: ${payload.priority}`,
-    `Callback requested: ${payload.callbackRequested ? 'yes' : 'no'}`,
-    `Subject: ${payload.subject}`,
-    `Message: ${payload.messageBody}`,
-  ];
-
-  if (payload.callerName) lines.push(`Caller name: ${payload.callerName}`);
-  if (payload.contactPhone) lines.push(`Contact phone: ${payload.contactPhone}`);
-  if (payload.contactEmail) lines.push(`Contact email: ${payload.contactEmail}`);
-  if (meta.callerPhone) lines.push(`Caller ID: ${meta.callerPhone}`);
-  if (meta.callSid) lines.push(`CallSid: ${meta.callSid}`);
-  if (meta.isSelfCaller != null) lines.push(`Self caller detected: ${meta.isSelfCaller ? 'yes' : 'no'}`);
-  if (meta.createdAt) lines.push(`Captured at: ${meta.createdAt}`);
-
-  return lines.join('\n');
-};
-
-// Firebase re-entry notes:
-// - Re-enable persistence by adding a storage adapter (for example Firestore) behind a single dispatch interface.
-// - Keep capture_message payload shape stable so storage and SMS can coexist without prompt/schema changes.
-// - If reactivating Firebase later, wire it via a separate module and call it from handleCaptureMessage.
-
-async function sendSmsToOwner(messageBody) {
-  const ownerPhone = normalizeCallerPhone(process.env.TWILIO_OWNER_PHONE);
-  const smsFrom = normalizeCallerPhone(process.env.TWILIO_SMS_FROM || process.env.PHONE_RELAY_NUMBER);
-  const accountSid = process.env.TWILIO_ACCOUNT_SID;
-  const authToken = process.env.TWILIO_AUTH_TOKEN;
-
-  if (!ownerPhone) {
-    return { delivered: false, channel: 'sms', reason: 'TWILIO_OWNER_PHONE missing' };
-  }
-  if (!smsFrom) {
-    return { delivered: false, channel: 'sms', reason: 'TWILIO_SMS_FROM missing' };
-  }
-  if (!accountSid || !authToken) {
-    return { delivered: false, channel: 'sms', reason: 'Twilio account credentials missing' };
-  }
+const sendToVoicemail = ({ callSid, tenantId, callerPhone }) =>
+  startVoicemail({ callSid, intro: AI_UNAVAILABLE_INTRO, tenantId, callerPhone, reason: 'ai_unavailable' });
 
-  try {
-    const client = twilio(accountSid, authToken);
-    const sms = await client.messages.create({
-      to: ownerPhone,
-      from: smsFrom,
-      body: messageBody,
+// No OpenAI socket at all: wait for the start event (it carries the CallSid) and move the call to voicemail.
+const divertStreamToVoicemail = (socket) => {
+  socket.on('message', async (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    if (message.event !== 'start') return;
+    const params = message.start?.customParameters || {};
+    const result = await sendToVoicemail({
+      callSid: message.start?.callSid,
+      tenantId: params.tenantId,
+      callerPhone: params.customerPhone,
     });
+    if (!result.started) socket.close();
+  });
+};
 
-    return {
-      delivered: true,
-      channel: 'sms',
-      messageSid: sms.sid,
-      to: ownerPhone,
-      from: smsFrom,
-    };
-  } catch (err) {
-    console.error('[SMS] failed to send to owner', err);
-    return { delivered: false, channel: 'sms', reason: 'Twilio SMS send failed' };
-  }
-}
+const buildInstructions = ({ personaId = DEFAULT_PERSONA_ID, ...context } = {}) =>
+  getPersona(personaId).buildInstructions(context);
 
 export function attachRealtimeServer(server) {
   const wss = new WebSocketServer({ server, path: '/realtime' });
@@ -524,14 +143,14 @@ export function attachRealtimeServer(server) {
   });
 
   wss.on('connection', (socket, request) => {
-    const callSid = request.headers['x-twilio-call-sid'] || null;
+    let callSid = request.headers['x-twilio-call-sid'] || null;
     console.log('Twilio stream connected');
     console.log(`[Realtime] Twilio stream connected${callSid ? ` for CallSid=${callSid}` : ''}`);
 
-    const openaiSocket = connectToOpenAI();
+    let openaiSocket = connectToOpenAI();
     if (!openaiSocket) {
-      console.error('[OpenAI] Failed to create OpenAI WebSocket; closing Twilio stream');
-      socket.close();
+      console.error('[OpenAI] Failed to create OpenAI WebSocket; sending the caller to voicemail');
+      divertStreamToVoicemail(socket);
       return;
     }
 
@@ -539,18 +158,54 @@ export function attachRealtimeServer(server) {
     let activeResponse = false;
     let currentResponseId = null;
     let userSpeaking = false;
-    let functionCallBuffer = '';
-    let functionCallName = null;
-    let functionCallId = null;
+    let responseInProgress = false;
+    let tenantId = null;
+    let personaId = DEFAULT_PERSONA_ID;
+    let restaurantId = null;
+    let restaurantName = null;
+    let voice = DEFAULT_VOICE;
+    // Set for outbound callbacks placed by src/telephony/outboundCalls.js; personas open with it.
+    let callback = null;
+    // Set when the call returns to the assistant after an unanswered transfer.
+    let transferResult = null;
+    // Tenant-configured tool set; null means the persona's own tools.
+    let tenantToolNames = null;
+    // Scratch space tools use to share state across calls within one phone call (e.g. the last quote).
+    const toolCallState = {};
+    // Function calls are assembled per call_id so parallel calls in one response never interleave.
+    const pendingFunctionCalls = new Map();
+    const callIdsByItemId = new Map();
+    const toolCallsInFlight = new Set();
+    let pendingToolFollowUps = [];
     let inferredCallerPhone = null;
     let isSelfCaller = false;
-    let lastCapturedMessage = null;
-    let messageDispatchStatus = null;
-    let callStartMs = Date.now();
-    let callEndMs = null;
+    const callRecorder = createCallRecorder({ callSid });
     let openaiReady = false;
     let twilioStartReceived = false;
     let sessionInitialized = false;
+    let sessionInitializing = false;
+    let stopWatchingPersonaContext = () => {};
+    let keypad = null;
+    let transcriptionFailures = 0;
+    let twilioStreamClosed = false;
+    // The assistant audio item being played ({ itemId, contentIndex, sentMs, playedMs }) and the Twilio marks
+    // sent after each chunk. Twilio echoes a mark once the audio before it has played, so `playedMs` is how
+    // much of the item the caller has actually heard.
+    let playback = null;
+    let pendingMarks = [];
+    let markSequence = 0;
+    let idleTimer = null;
+    let idlePrompted = false;
+    let hangUpTimer = null;
+    let hangUpStarted = false;
+    let reconnectAttempts = 0;
+    let reconnectTimer = null;
+    let reconnectDeadlineTimer = null;
+    let holdToneTimer = null;
+    // Set once the call has been handed to the fallback; late OpenAI sockets are then ignored.
+    let openAiAbandoned = false;
+    // Set when OpenAI is given up on before the start event has told us the CallSid.
+    let pendingGiveUpReason = null;
     let openaiUsageTotals = {
       input_tokens: 0,
       input_cached_tokens: 0,
@@ -566,25 +221,35 @@ export function attachRealtimeServer(server) {
       console.warn('[Realtime] TWILIO_OWNER_PHONE is not set; SMS delivery will fail until configured');
     }
 
-    const resetFunctionCallState = () => {
-      functionCallBuffer = '';
-      functionCallName = null;
-      functionCallId = null;
+    const resolveFunctionCallId = (message) =>
+      message.call_id || message.item?.call_id || callIdsByItemId.get(message.item_id) || message.item_id || null;
+
+    const trackFunctionCallItem = (item) => {
+      if (item?.type !== 'function_call') return;
+      const callId = item.call_id || item.id;
+      if (item.id && callId) callIdsByItemId.set(item.id, callId);
+      const entry = pendingFunctionCalls.get(callId) || { name: null, arguments: '' };
+      entry.name = item.name || entry.name;
+      pendingFunctionCalls.set(callId, entry);
     };
 
     const appendFunctionCallChunk = (message) => {
-      functionCallName = message.name || functionCallName;
-      functionCallId = message.call_id || message.id || functionCallId;
+      const callId = resolveFunctionCallId(message);
+      if (!callId) return null;
+
+      const entry = pendingFunctionCalls.get(callId) || { name: null, arguments: '' };
+      entry.name = message.name || entry.name;
 
-      const delta = message.delta?.arguments;
+      const delta = typeof message.delta === 'string' ? message.delta : message.delta?.arguments;
       if (delta) {
-        functionCallBuffer += delta;
-        return;
+        entry.arguments += delta;
+      } else if (typeof message.arguments === 'string') {
+        // The done event carries the complete argument string; prefer it over accumulated deltas.
+        entry.arguments = message.arguments;
       }
 
-      if (!functionCallBuffer && message.arguments) {
-        functionCallBuffer = message.arguments;
-      }
+      pendingFunctionCalls.set(callId, entry);
+      return callId;
     };
 
     const cancelActiveResponse = () => {
@@ -621,29 +286,106 @@ export function attachRealtimeServer(server) {
       }
     };
 
+    const resetPlayback = () => {
+      playback = null;
+      pendingMarks = [];
+    };
+
+    // Twilio queues what we send, so one period per tick keeps about one period buffered; stopping clears it.
+    const startHoldTone = () => {
+      if (holdToneTimer) return;
+      const sendTone = () => {
+        if (!streamSid || socket.readyState !== WebSocket.OPEN) return;
+        socket.send(
+          JSON.stringify({
+            event: 'media',
+            streamSid,
+            media: { payload: holdToneChunk({ periodMs: HOLD_TONE_PERIOD_MS }) },
+          })
+        );
+      };
+      sendTone();
+      holdToneTimer = setInterval(sendTone, HOLD_TONE_PERIOD_MS);
+    };
+
+    const stopHoldTone = () => {
+      if (!holdToneTimer) return;
+      clearInterval(holdToneTimer);
+      holdToneTimer = null;
+      sendClearToTwilio();
+    };
+
+    // Cuts the model's memory of the item being played down to what the caller heard, so it doesn't assume
+    // they got the part that was cleared from Twilio's buffer.
+    const truncatePlayback = () => {
+      if (!playback || !pendingMarks.length || openaiSocket.readyState !== WebSocket.OPEN) return;
+      const audioEndMs = Math.round(playback.playedMs);
+      openaiSocket.send(
+        JSON.stringify({
+          type: 'conversation.item.truncate',
+          item_id: playback.itemId,
+          content_index: playback.contentIndex,
+          audio_end_ms: audioEndMs,
+        })
+      );
+      if (VERBOSE_OPENAI_LOGS) {
+        console.log('[Realtime] truncated assistant audio', {
+          itemId: playback.itemId,
+          audioEndMs,
+          sentMs: Math.round(playback.sentMs),
+        });
+      }
+    };
+
+    // Stops the assistant mid-sentence: truncate what wasn't heard, drop Twilio's buffered audio, cancel the response.
+    const interruptPlayback = () => {
+      truncatePlayback();
+      resetPlayback();
+      sendClearToTwilio();
+      cancelActiveResponse();
+    };
+
     const handleSpeechStarted = () => {
       if (VERBOSE_OPENAI_LOGS) {
         console.log('[OpenAI] event=input_audio_buffer.speech_started');
       }
       userSpeaking = true;
-      sendClearToTwilio();
-      cancelActiveResponse();
+      noteCallerActivity();
+      interruptPlayback();
     };
 
-    const forwardAudioToTwilio = (audioChunk) => {
+    const forwardAudioToTwilio = (audioChunk, { itemId = null, contentIndex = 0 } = {}) => {
       if (!streamSid || userSpeaking || !activeResponse) {
         return;
       }
+      if (socket.readyState !== WebSocket.OPEN) return;
+
+      if (!playback || playback.itemId !== itemId) {
+        playback = { itemId, contentIndex, sentMs: 0, playedMs: 0 };
+      }
+      playback.sentMs += Buffer.byteLength(audioChunk, 'base64') / PCMU_BYTES_PER_MS;
 
       const twilioMedia = {
         event: 'media',
         streamSid,
         media: { payload: audioChunk },
       };
+      socket.send(JSON.stringify(twilioMedia));
 
-      if (socket.readyState === WebSocket.OPEN) {
-        socket.send(JSON.stringify(twilioMedia));
-      }
+      markSequence += 1;
+      const mark = { name: `audio-${markSequence}`, itemId, endMs: playback.sentMs };
+      pendingMarks.push(mark);
+      socket.send(JSON.stringify({ event: 'mark', streamSid, mark: { name: mark.name } }));
+    };
+
+    // Marks come back in order; one we no longer track was flushed by a clear.
+    const handlePlaybackMark = (name) => {
+      const index = pendingMarks.findIndex((mark) => mark.name === name);
+      if (index === -1) return;
+      const mark = pendingMarks[index];
+      pendingMarks = pendingMarks.slice(index + 1);
+      if (playback?.itemId === mark.itemId) playback.playedMs = mark.endMs;
+      handleAssistantQuiet();
     };
 
     const forceResponse = (instructionsText) => {
@@ -659,16 +401,106 @@ export function attachRealtimeServer(server) {
       activeResponse = true;
     };
 
-    const maybeInitSession = async () => {
-      if (sessionInitialized || !openaiReady || !twilioStartReceived) return;
+    const sendFunctionCallOutput = (callId, output) => {
+      if (!callId || openaiSocket.readyState !== WebSocket.OPEN) return;
+      try {
+        openaiSocket.send(
+          JSON.stringify({
+            type: 'conversation.item.create',
+            item: {
+              type: 'function_call_output',
+              call_id: callId,
+              output: JSON.stringify(output),
+            },
+          })
+        );
+      } catch (err) {
+        console.warn('[Tools] failed to send tool output', err);
+      }
+    };
 
-      const hasCallerPhone = Boolean(normalizeCallerPhone(inferredCallerPhone));
-      const instructions = buildInstructions({ isSelfCaller, hasCallerPhone });
+    // Ask for the follow-up response only once the model's turn is over and every
+    // function call it issued has produced output.
+    const maybeRequestToolFollowUp = () => {
+      if (responseInProgress || toolCallsInFlight.size || pendingFunctionCalls.size) return;
+      if (!pendingToolFollowUps.length) return;
+      const instructions = pendingToolFollowUps.filter(Boolean).join('\n');
+      pendingToolFollowUps = [];
+      forceResponse(instructions || undefined);
+    };
 
-      if (openaiSocket.readyState !== WebSocket.OPEN) {
-        return;
+    const sessionToolNames = () => tenantToolNames || getPersona(personaId).tools;
+
+    const buildToolContext = () => ({
+      callSid,
+      tenantId,
+      personaId,
+      callerPhone: normalizeCallerPhone(inferredCallerPhone),
+      isSelfCaller,
+      restaurantId,
+      restaurantName,
+      callRecorder,
+      callState: toolCallState,
+    });
+
+    const transferNotice = () =>
+      `TRANSFER CONTEXT: You tried to transfer this caller to ${transferResult.targetName || 'a person'}, but nobody ` +
+      `answered (${transferResult.status}). Skip the greeting: apologize briefly that they couldn't pick up, then ` +
+      'offer what you can do instead (for example take a message).';
+
+    const sessionInstructions = (personaContext) =>
+      [
+        buildInstructions({ personaId, ...personaContext }),
+        describeKeypad(getPersona(personaId).keypad),
+        transferResult ? transferNotice() : null,
+      ]
+        .filter(Boolean)
+        .join('\n');
+
+    const loadPersonaContext = async () => {
+      const persona = getPersona(personaId);
+      let loadedContext = {};
+      if (persona.loadContext) {
+        try {
+          loadedContext = (await persona.loadContext({ restaurantId })) || {};
+        } catch (err) {
+          console.error('[Realtime] failed to load persona context', { callSid, personaId, restaurantId, err });
+        }
       }
+      const hasCallerPhone = Boolean(normalizeCallerPhone(inferredCallerPhone));
+      const toolNames = sessionToolNames();
+      return { isSelfCaller, hasCallerPhone, restaurantName, callback, toolNames, ...loadedContext };
+    };
 
+    // Re-sends instructions when the persona's context (e.g. the menu) changes mid-call.
+    const refreshSessionInstructions = async () => {
+      const personaContext = await loadPersonaContext();
+      if (!sessionInitialized || openaiSocket.readyState !== WebSocket.OPEN) return;
+      openaiSocket.send(
+        JSON.stringify({
+          type: 'session.update',
+          session: { type: 'realtime', instructions: sessionInstructions(personaContext) },
+        })
+      );
+      console.log('[Realtime] session instructions refreshed', { callSid, personaId, restaurantId });
+    };
+
+    const watchPersonaContext = () => {
+      const persona = getPersona(personaId);
+      if (!persona.watchContext) return;
+      let refreshTimer = null;
+      // Snapshot listeners can fire in quick succession (restaurant doc, then menu items).
+      const unsubscribe = persona.watchContext({ restaurantId }, () => {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(refreshSessionInstructions, CONTEXT_REFRESH_DEBOUNCE_MS);
+      });
+      stopWatchingPersonaContext = () => {
+        clearTimeout(refreshTimer);
+        unsubscribe();
+      };
+    };
+
+    const sendSessionUpdate = (instructions) => {
       openaiSocket.send(
         JSON.stringify({
           type: 'session.update',
@@ -676,135 +508,267 @@ export function attachRealtimeServer(server) {
             type: 'realtime',
             model: DEFAULT_MODEL,
             instructions,
-            tools: [CAPTURE_MESSAGE_TOOL],
+            audio: {
+              output: { format: { type: 'audio/pcmu' }, voice },
+            },
+            tools: toolRegistry.definitionsFor(sessionToolNames()),
           },
         })
       );
+    };
+
+    const maybeInitSession = async () => {
+      if (sessionInitialized || sessionInitializing || !openaiReady || !twilioStartReceived) return;
+
+      const persona = getPersona(personaId);
+      sessionInitializing = true;
+      const personaContext = await loadPersonaContext();
+      sessionInitializing = false;
+      const { hasCallerPhone } = personaContext;
+      const instructions = sessionInstructions(personaContext);
+
+      if (sessionInitialized || openaiSocket.readyState !== WebSocket.OPEN) {
+        return;
+      }
+
+      sendSessionUpdate(instructions);
 
       openaiSocket.send(
         JSON.stringify({
           type: 'response.create',
           response: {
-            instructions: `Start the call by saying exactly: ${ASSISTANT_GREETING}`,
+            instructions: transferResult
+              ? transferNotice()
+              : `Start the call by saying exactly: ${persona.greeting(personaContext)}`,
           },
         })
       );
 
       sessionInitialized = true;
+      watchPersonaContext();
       const phoneLast4 = normalizeCallerPhone(inferredCallerPhone)?.slice(-4) || null;
       console.log('[Realtime] session initialized', {
         callSid,
         hasCallerPhone,
         callerPhoneLast4: phoneLast4,
         isSelfCaller,
+        tenantId,
+        personaId,
+        restaurantId,
+        voice,
+        callbackPurpose: callback?.purpose || null,
       });
     };
 
-    const handleCaptureMessage = async (parsedArgs) => {
-      const fallbackMode = isSelfCaller ? 'self_note' : 'caller_message';
-      const mode = normalizeMode(parsedArgs?.mode, fallbackMode);
-      const callerName = sanitizeText(parsedArgs?.callerName, 80);
-      const contactPhone =
-        normalizeCallerPhone(parsedArgs?.contactPhone) || normalizeCallerPhone(inferredCallerPhone) || null;
-      const contactEmail = normalizeEmail(parsedArgs?.contactEmail);
-      const subject = sanitizeText(parsedArgs?.subject, 160) || (mode === 'self_note' ? 'Self note' : 'Voice message');
-      const messageBody = sanitizeText(parsedArgs?.messageBody, 2000);
-      const callbackRequested = normalizeBoolean(parsedArgs?.callbackRequested, false);
-      const priority = normalizePriority(parsedArgs?.priority);
-
-      if (!messageBody) {
-        forceResponse('Please restate the message in one or two clear sentences.');
+    const clearIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = null;
+    };
+
+    const endCall = async ({ by, reason, message = null }) => {
+      if (hangUpStarted || twilioStreamClosed) return;
+      hangUpStarted = true;
+      clearIdleTimer();
+      clearTimeout(hangUpTimer);
+      callRecorder.setEndReason({ by, reason });
+      console.log('[Realtime] ending call', { callSid, by, reason });
+      const result = await hangUpCall({ callSid, message });
+      if (!result.ended && socket.readyState === WebSocket.OPEN) socket.close();
+    };
+
+    const handleIdleTimeout = () => {
+      idleTimer = null;
+      if (!idlePrompted) {
+        idlePrompted = true;
+        console.log('[Realtime] caller silent; checking in', { callSid });
+        forceResponse('The caller has gone quiet. Ask briefly whether they are still there.');
         return;
       }
+      endCall({ by: 'assistant', reason: 'idle', message: IDLE_GOODBYE });
+    };
 
-      const payload = {
-        mode,
-        callerName,
-        contactPhone,
-        contactEmail,
-        subject,
-        messageBody,
-        callbackRequested,
-        priority,
-      };
-
-      lastCapturedMessage = payload;
+    const noteCallerActivity = () => {
+      idlePrompted = false;
+      clearIdleTimer();
+    };
 
-      const smsBody = formatOutboundMessage(payload, {
-        callSid,
-        callerPhone: normalizeCallerPhone(inferredCallerPhone),
-        isSelfCaller,
-        createdAt: new Date().toISOString(),
-      });
+    // Called whenever the assistant may have just finished speaking (response done, playback mark, tool
+    // output). Once nothing is playing or pending, a requested end_call hangs up; otherwise the idle clock starts.
+    const handleAssistantQuiet = () => {
+      if (!sessionInitialized || hangUpStarted || userSpeaking || activeResponse || responseInProgress) return;
+      if (pendingMarks.length || toolCallsInFlight.size || pendingToolFollowUps.length) return;
+      if (toolCallState.hangUp) {
+        endCall({ by: 'assistant', reason: toolCallState.hangUp.reason });
+        return;
+      }
+      if (!IDLE_PROMPT_SECONDS || idleTimer) return;
+      const seconds = idlePrompted ? IDLE_HANGUP_SECONDS : IDLE_PROMPT_SECONDS;
+      idleTimer = setTimeout(handleIdleTimeout, seconds * 1000);
+    };
 
-      const smsResult = await sendSmsToOwner(smsBody);
-      messageDispatchStatus = smsResult;
+    // Keypad input interrupts the assistant; the response it asks for is queued like a tool
+    // follow-up so it never overlaps the response being cancelled.
+    const queueKeypadResponse = (instructions) => {
+      interruptPlayback();
+      pendingToolFollowUps.push(instructions);
+      maybeRequestToolFollowUp();
+    };
 
-      if (functionCallId && openaiSocket.readyState === WebSocket.OPEN) {
-        const toolOutput = {
+    const sendKeypadDigits = (digits) => {
+      callRecorder.addKeypadInput('digits', digits);
+      if (openaiSocket.readyState !== WebSocket.OPEN) return;
+      openaiSocket.send(
+        JSON.stringify({
           type: 'conversation.item.create',
-          item: {
-            type: 'function_call_output',
-            call_id: functionCallId,
-            output: JSON.stringify({
-              delivered: smsResult.delivered,
-              channel: 'sms',
-              reason: smsResult.reason || null,
-            }),
-          },
-        };
+          item: { type: 'message', role: 'user', content: [{ type: 'input_text', text: `Keypad input: ${digits}` }] },
+        })
+      );
+      queueKeypadResponse(null);
+    };
 
-        try {
-          openaiSocket.send(JSON.stringify(toolOutput));
-        } catch (err) {
-          console.warn('[capture_message] failed to send tool output', err);
+    const runKeypadAction = async (action, key) => {
+      callRecorder.addKeypadInput('action', action);
+      console.log('[Keypad] action', { callSid, key, action });
+
+      if (action === 'repeat') {
+        const lastAnswer = callRecorder.lastAssistantText;
+        queueKeypadResponse(
+          lastAnswer
+            ? `The caller pressed ${key} to hear that again. Repeat exactly: ${lastAnswer}`
+            : 'Ask the caller what they would like to hear again.'
+        );
+        return;
+      }
+
+      if (action === 'transfer') {
+        const result = await toolRegistry.dispatch({
+          name: 'transfer_call',
+          rawArguments: JSON.stringify({ reason: `pressed ${key} to speak to someone` }),
+          allowedNames: sessionToolNames(),
+          context: buildToolContext(),
+        });
+        if (!result.output?.ok) {
+          queueKeypadResponse(
+            result.instructions || 'Tell the caller you cannot connect them right now and offer another way to help.'
+          );
         }
+        return;
       }
 
-      if (smsResult.delivered) {
-        forceResponse('Thanks. I captured your message and passed it along to Tom.');
-      } else {
-        forceResponse('Thanks. I captured your message. Delivery may be delayed right now.');
+      if (action === 'voicemail') {
+        const result = await startVoicemail({ callSid, tenantId, callerPhone: inferredCallerPhone, reason: 'keypad' });
+        if (result.started) {
+          callRecorder.setVoicemail({ reason: 'keypad' });
+        } else {
+          queueKeypadResponse(
+            'The caller pressed a key to leave a voicemail, but voicemail is unavailable. Offer to help another way.'
+          );
+        }
       }
     };
 
-    const handleFunctionCallDone = async () => {
-      if (!functionCallName || !functionCallBuffer) {
-        resetFunctionCallState();
-        return;
+    const keypadCollector = () => {
+      keypad =
+        keypad ||
+        createKeypadCollector({
+          bindings: getPersona(personaId).keypad,
+          onAction: (action, key) =>
+            runKeypadAction(action, key).catch((err) => {
+              console.error('[Keypad] action failed', { callSid, action, err });
+            }),
+          onDigits: sendKeypadDigits,
+        });
+      return keypad;
+    };
+
+    const handleTranscriptionFailed = () => {
+      transcriptionFailures += 1;
+      if (transcriptionFailures < ASR_FAILURES_BEFORE_KEYPAD_HINT) return;
+      transcriptionFailures = 0;
+      if (!describeKeypad(getPersona(personaId).keypad)) return;
+      console.log('[Keypad] repeated transcription failures; suggesting the keypad', { callSid });
+      queueKeypadResponse(
+        'You are having trouble hearing the caller. Say so briefly and offer the options in the KEYPAD section.'
+      );
+    };
+
+    const handleFunctionCallDone = async (message) => {
+      const callId = appendFunctionCallChunk(message);
+      if (!callId) return;
+
+      const entry = pendingFunctionCalls.get(callId);
+      pendingFunctionCalls.delete(callId);
+      toolCallsInFlight.add(callId);
+
+      const name = entry?.name || message.name || null;
+      const dispatchSocket = openaiSocket;
+      const result = await toolRegistry.dispatch({
+        name,
+        rawArguments: entry?.arguments || '',
+        allowedNames: sessionToolNames(),
+        context: buildToolContext(),
+      });
+
+      if (VERBOSE_OPENAI_LOGS || result.output?.ok === false) {
+        console.log('[Tools] call completed', { name, callId, output: result.output });
       }
 
-      try {
-        const parsedArgs = JSON.parse(functionCallBuffer);
+      // After a reconnect the new session never saw this call_id; the follow-up still tells the caller.
+      if (dispatchSocket === openaiSocket) sendFunctionCallOutput(callId, result.output);
+      toolCallsInFlight.delete(callId);
+      pendingToolFollowUps.push(result.instructions || null);
+      maybeRequestToolFollowUp();
+      if (toolCallState.hangUp && !hangUpTimer) {
+        hangUpTimer = setTimeout(
+          () => endCall({ by: 'assistant', reason: toolCallState.hangUp.reason }),
+          END_CALL_MAX_WAIT_MS
+        );
+      }
+      handleAssistantQuiet();
+    };
 
-        if (functionCallName === 'capture_message') {
-          await handleCaptureMessage(parsedArgs);
-          resetFunctionCallState();
-          return;
-        }
+    // A reconnected session starts empty: restore the instructions and tools, replay the conversation
+    // so far from the transcript, then have the assistant pick up where it left off.
+    const resumeSession = async () => {
+      const personaContext = await loadPersonaContext();
+      if (openaiSocket.readyState !== WebSocket.OPEN) return;
+      sendSessionUpdate(sessionInstructions(personaContext));
 
-        if (functionCallId && openaiSocket.readyState === WebSocket.OPEN) {
-          openaiSocket.send(
-            JSON.stringify({
-              type: 'conversation.item.create',
-              item: {
-                type: 'function_call_output',
-                call_id: functionCallId,
-                output: JSON.stringify({ delivered: false, channel: 'sms', reason: 'Unsupported tool name' }),
-              },
-            })
-          );
-        }
-      } catch (err) {
-        console.warn('[Function Call] failed to process arguments', err);
-        forceResponse('Sorry, I missed that. Please repeat your message in one short summary.');
+      const replayed = callRecorder.transcript.slice(-OPENAI_REPLAY_MAX_ITEMS);
+      for (const entry of replayed) {
+        const fromCaller = entry.role === 'caller';
+        openaiSocket.send(
+          JSON.stringify({
+            type: 'conversation.item.create',
+            item: {
+              type: 'message',
+              role: fromCaller ? 'user' : 'assistant',
+              content: [{ type: fromCaller ? 'input_text' : 'output_text', text: entry.text }],
+            },
+          })
+        );
       }
 
-      resetFunctionCallState();
+      forceResponse(
+        'The line dropped for a moment. Say "Sorry about that, one moment." and then continue the conversation ' +
+          'from where it left off without repeating the greeting.'
+      );
+      console.log('[Realtime] OpenAI session resumed', { callSid, replayedItems: replayed.length });
     };
 
-    openaiSocket.on('open', () => {
+    const handleOpenAiOpen = () => {
+      if (openAiAbandoned) {
+        openaiSocket.close();
+        return;
+      }
+      stopHoldTone();
       openaiReady = true;
+      if (sessionInitialized) {
+        resumeSession().catch((err) => {
+          console.error('[Realtime] failed to resume OpenAI session', { callSid, err });
+        });
+        return;
+      }
       maybeInitSession();
       setTimeout(() => {
         if (!twilioStartReceived) {
@@ -812,7 +776,41 @@ export function attachRealtimeServer(server) {
           maybeInitSession();
         }
       }, 1500);
-    });
+    };
+
+    // Tenant routing is resolved in /voice and arrives as stream <Parameter>s.
+    const applyTenantParameters = (params) => {
+      tenantId = params.tenantId || tenantId;
+      if (isKnownPersona(params.persona)) {
+        personaId = params.persona;
+      } else if (params.persona) {
+        console.warn('[Realtime] unknown persona parameter; using default', { callSid, persona: params.persona });
+      }
+      restaurantId = params.restaurantId || restaurantId;
+      restaurantName = params.restaurantName || restaurantName;
+      voice = params.voice || voice;
+      if (params.callDirection === 'outbound' && params.callbackPurpose) {
+        callback = {
+          purpose: params.callbackPurpose,
+          name: params.callbackName || null,
+          subject: params.callbackSubject || null,
+          messageNumber: params.callbackMessageNumber ? Number(params.callbackMessageNumber) : null,
+          orderNumber: params.callbackOrderNumber ? Number(params.callbackOrderNumber) : null,
+        };
+      }
+      if (params.transferStatus) {
+        transferResult = { status: params.transferStatus, targetName: params.transferTargetName || null };
+        toolCallState.transferFailed = true;
+      }
+      if (params.tools) {
+        const requested = params.tools.split(',').map((name) => name.trim()).filter(Boolean);
+        const unknown = requested.filter((name) => !toolRegistry.has(name));
+        if (unknown.length) {
+          console.warn('[Realtime] tenant lists unregistered tools; ignoring them', { callSid, tenantId, unknown });
+        }
+        tenantToolNames = requested.filter((name) => toolRegistry.has(name));
+      }
+    };
 
     const handleTwilioMessage = (data, isBinary) => {
       try {
@@ -836,23 +834,43 @@ export function attachRealtimeServer(server) {
               console.log(`[Realtime] event=start callSid=${sid}`);
             }
             streamSid = message.start?.streamSid || streamSid;
+            callSid = message.start?.callSid || callSid;
             if (message.start?.customParameters?.customerPhone) {
               inferredCallerPhone = normalizeCallerPhone(message.start.customParameters.customerPhone);
             }
             if (ownerPhone && inferredCallerPhone) {
               isSelfCaller = areSamePhone(inferredCallerPhone, ownerPhone);
             }
+            applyTenantParameters(message.start?.customParameters || {});
+            callRecorder.setCallSid(callSid);
+            callRecorder.setPersona({ tenantId, personaId, restaurantId });
+            callRecorder.setStreamSid(streamSid);
+            callRecorder.setCaller({ callerPhone: inferredCallerPhone, isSelfCaller });
+            callRecorder.setCallback(callback);
+            if (transferResult) callRecorder.markResumedAfterTransfer(transferResult.status);
             if (inferredCallerPhone) {
               console.log('[Realtime] inferred caller phone', inferredCallerPhone);
             }
             twilioStartReceived = true;
+            if (pendingGiveUpReason) {
+              giveUpOnOpenAi(pendingGiveUpReason);
+              break;
+            }
             maybeInitSession();
             break;
+          case 'dtmf':
+            if (VERBOSE_OPENAI_LOGS) {
+              console.log(`[Realtime] event=dtmf digit=${message.dtmf?.digit}`);
+            }
+            noteCallerActivity();
+            keypadCollector().press(message.dtmf?.digit);
+            break;
           case 'mark':
             if (VERBOSE_OPENAI_LOGS) {
               const name = message.mark?.name || 'unknown';
               console.log(`[Realtime] event=mark name=${name}`);
             }
+            handlePlaybackMark(message.mark?.name);
             break;
           case 'stop':
             if (VERBOSE_OPENAI_LOGS) {
@@ -891,12 +909,22 @@ export function attachRealtimeServer(server) {
             if (transcript && VERBOSE_OPENAI_LOGS) {
               console.log('[ASR]', { chars: String(transcript).length, text: transcript });
             }
+            if (transcript) transcriptionFailures = 0;
+            callRecorder.addTranscript('caller', transcript, { itemId: message.item_id || null });
             break;
           }
+          case 'conversation.item.input_audio_transcription.failed':
+            handleTranscriptionFailed();
+            break;
+          case 'response.output_audio_transcript.done':
+            callRecorder.addTranscript('assistant', message.transcript, { itemId: message.item_id || null });
+            break;
           case 'response.created':
             currentResponseId = message.response?.id || currentResponseId;
             activeResponse = true;
+            responseInProgress = true;
             userSpeaking = false;
+            clearIdleTimer();
             if (VERBOSE_OPENAI_LOGS) {
               console.log('[OpenAI] event=response.created id=', currentResponseId);
             }
@@ -907,18 +935,20 @@ export function attachRealtimeServer(server) {
               console.log('[OpenAI] session state:', JSON.stringify(message.session, null, 2));
             }
             break;
+          case 'response.output_item.added':
+            trackFunctionCallItem(message.item);
+            break;
           case 'response.function_call_arguments.delta':
             appendFunctionCallChunk(message);
             break;
           case 'response.function_call_arguments.done':
-            appendFunctionCallChunk(message);
-            await handleFunctionCallDone();
+            await handleFunctionCallDone(message);
             break;
           case 'response.output_audio.delta': {
             const audioChunk =
               typeof message.delta === 'string' ? message.delta : message.delta && message.delta.audio;
             if (audioChunk) {
-              forwardAudioToTwilio(audioChunk);
+              forwardAudioToTwilio(audioChunk, { itemId: message.item_id, contentIndex: message.content_index });
             }
             break;
           }
@@ -926,6 +956,18 @@ export function attachRealtimeServer(server) {
           case 'response.done':
           case 'response.cancelled':
             activeResponse = false;
+            if (type === 'response.done') {
+              // A completed response means the (re)connected session works; a socket that opens and drops
+              // again right away keeps counting toward the reconnect limit and window.
+              reconnectAttempts = 0;
+              clearTimeout(reconnectDeadlineTimer);
+              reconnectDeadlineTimer = null;
+            }
+            if (type !== 'response.output_audio.done') {
+              responseInProgress = false;
+              maybeRequestToolFollowUp();
+              handleAssistantQuiet();
+            }
             if (VERBOSE_OPENAI_LOGS) {
               console.log('[OpenAI] event=response.end type=', type);
             }
@@ -966,13 +1008,106 @@ export function attachRealtimeServer(server) {
       }
     };
 
-    openaiSocket.on('message', handleOpenAiMessage);
+    // Out of reconnect attempts with the caller still on the line: voicemail (or a goodbye) rather than
+    // leaving them in silence.
+    const giveUpOnOpenAi = async (reason) => {
+      if (twilioStreamClosed || callRecorder.voicemail || openAiAbandoned) return;
+      if (!callSid) {
+        pendingGiveUpReason = reason;
+        return;
+      }
+      openAiAbandoned = true;
+      clearTimeout(reconnectTimer);
+      clearTimeout(reconnectDeadlineTimer);
+      stopHoldTone();
+      if (openaiSocket.readyState === WebSocket.CONNECTING) openaiSocket.terminate();
+      console.warn('[Realtime] OpenAI unavailable; giving up on the call', {
+        callSid,
+        reason,
+        fallback: OPENAI_RECONNECT_FALLBACK,
+      });
+      if (OPENAI_RECONNECT_FALLBACK === 'voicemail') {
+        const result = await sendToVoicemail({ callSid, tenantId, callerPhone: inferredCallerPhone });
+        if (result.started) {
+          callRecorder.setVoicemail({ reason: 'ai_unavailable', detail: reason });
+          return;
+        }
+      }
+      callRecorder.setEndReason({ by: 'bridge', reason: 'ai_unavailable' });
+      const result = await hangUpCall({ callSid, message: AI_UNAVAILABLE_GOODBYE });
+      if (!result.ended && socket.readyState === WebSocket.OPEN) socket.close();
+    };
+
+    const reconnectToOpenAI = () => {
+      reconnectTimer = null;
+      if (twilioStreamClosed) return;
+      const nextSocket = connectToOpenAI();
+      if (!nextSocket) {
+        giveUpOnOpenAi('OPENAI_API_KEY missing');
+        return;
+      }
+      openaiSocket = nextSocket;
+      bindOpenAiSocket(nextSocket);
+    };
+
+    const handleOpenAiClose = (code) => {
+      if (twilioStreamClosed || callRecorder.voicemail || openAiAbandoned) return;
+      openaiReady = false;
+      activeResponse = false;
+      responseInProgress = false;
+      currentResponseId = null;
+      pendingFunctionCalls.clear();
+      callIdsByItemId.clear();
+      resetPlayback();
+      clearIdleTimer();
+      sendClearToTwilio();
+
+      if (reconnectAttempts >= OPENAI_RECONNECT_MAX_ATTEMPTS) {
+        giveUpOnOpenAi(`OpenAI socket closed (code ${code}) after ${reconnectAttempts} reconnect attempts`);
+        return;
+      }
+      startHoldTone();
+      reconnectDeadlineTimer ||= setTimeout(() => {
+        reconnectDeadlineTimer = null;
+        giveUpOnOpenAi(`OpenAI did not reconnect within ${OPENAI_RECONNECT_MAX_WINDOW_MS}ms`);
+      }, OPENAI_RECONNECT_MAX_WINDOW_MS);
+      const delayMs = OPENAI_RECONNECT_BASE_DELAY_MS * 2 ** reconnectAttempts;
+      reconnectAttempts += 1;
+      callRecorder.addReconnect({ attempt: reconnectAttempts, closeCode: code });
+      console.warn('[Realtime] OpenAI connection lost; reconnecting', {
+        callSid,
+        code,
+        attempt: reconnectAttempts,
+        delayMs,
+      });
+      reconnectTimer = setTimeout(reconnectToOpenAI, delayMs);
+    };
+
+    const bindOpenAiSocket = (ws) => {
+      ws.on('open', handleOpenAiOpen);
+      ws.on('message', handleOpenAiMessage);
+      ws.on('close', handleOpenAiClose);
+    };
+
+    bindOpenAiSocket(openaiSocket);
 
     socket.on('close', (code, reason) => {
-      callEndMs = Date.now();
-      const callDurationSeconds = Math.round((callEndMs - callStartMs) / 1000);
+      twilioStreamClosed = true;
+      clearTimeout(reconnectTimer);
+      clearTimeout(reconnectDeadlineTimer);
+      clearInterval(holdToneTimer);
+      clearIdleTimer();
+      clearTimeout(hangUpTimer);
+      stopWatchingPersonaContext();
+      keypad?.stop();
       const reasonText = normalizeReason(reason);
       const callerPhone = normalizeCallerPhone(inferredCallerPhone);
+      const callRecord = callRecorder.finalize({
+        usage: openaiUsageTotals,
+        closeCode: code,
+        closeReason: reasonText,
+      });
+      const lastCapturedMessage = callRecorder.lastMessage;
 
       console.log('Twilio stream closed');
       console.log(
@@ -981,16 +1116,37 @@ export function attachRealtimeServer(server) {
 
       console.log('[Call Summary]', {
         callSid,
+        tenantId,
+        direction: callback ? 'outbound' : 'inbound',
+        callbackPurpose: callback?.purpose || null,
         callerPhone,
         isSelfCaller,
-        capturedMode: lastCapturedMessage?.mode || null,
-        capturedSubject: lastCapturedMessage?.subject || null,
-        messageDelivered: messageDispatchStatus?.delivered || false,
-        deliveryReason: messageDispatchStatus?.reason || null,
-        callDurationSeconds,
+        capturedMode: lastCapturedMessage?.payload.mode || null,
+        capturedSubject: lastCapturedMessage?.payload.subject || null,
+        messageDelivered: lastCapturedMessage?.delivery.delivered || false,
+        deliveredChannels: lastCapturedMessage?.delivery.succeeded || [],
+        callDurationSeconds: callRecord.durationSeconds,
+        ordersPlaced: callRecord.orders.map((order) => order.orderNumber),
+        transfer: callRecord.transfer,
+        voicemail: callRecord.voicemail?.reason || null,
+        openaiReconnects: callRecord.reconnects.length,
+        endedBy: callRecord.endReason?.by || null,
+        endReason: callRecord.endReason?.reason || null,
+        transcriptEntries: callRecord.transcript.length,
         openaiUsageTotals,
       });
 
+      getStorage()
+        .saveCall(callRecord)
+        .then((result) => {
+          if (result.stored) {
+            console.log('[Storage] call record saved', { callId: callRecord.id, location: result.location });
+          }
+        })
+        .catch((err) => {
+          console.error('[Storage] failed to save call record', { callId: callRecord.id, err });
+        });
+
       if (openaiSocket && openaiSocket.readyState === WebSocket.OPEN) {
         openaiSocket.close();
       }
@@ -1012,6 +1168,7 @@ export function connectToOpenAI() {
 
   console.log('[OpenAI] connecting');
 
+  let opened = false;
   const ws = new WebSocket(DEFAULT_REALTIME_ENDPOINT, {
     headers: {
       Authorization: `Bearer ${apiKey}`,
@@ -1021,6 +1178,9 @@ export function connectToOpenAI() {
 
   ws.on('open', () => {
     console.log('[OpenAI] connected');
+    opened = true;
+    lastRealtimeFailure = null;
+    recordProbe({ available: true });
 
     const fallbackInstructions = buildInstructions({
       isSelfCaller: false,
@@ -1051,10 +1211,10 @@ export function connectToOpenAI() {
           },
           output: {
             format: { type: 'audio/pcmu' },
-            voice: 'sage',
+            voice: DEFAULT_VOICE,
           },
         },
-        tools: [CAPTURE_MESSAGE_TOOL],
+        tools: toolRegistry.definitionsFor(getPersona(DEFAULT_PERSONA_ID).tools),
       },
     };
 
@@ -1069,6 +1229,7 @@ export function connectToOpenAI() {
 
   ws.on('error', (error) => {
     console.error('[OpenAI] error', error);
+    if (!opened) lastRealtimeFailure = { at: Date.now(), reason: error?.message || 'connection failed' };
   });
 
   return ws;
@@ -1,7 +1,18 @@
 import 'dotenv/config';
+import { timingSafeEqual } from 'node:crypto';
 import http from 'node:http';
 import express from 'express';
-import { attachRealtimeServer } from './realtimeHandler.js';
+import { getOutboxStats, startOutboxWorker } from './delivery/outbox.js';
+import { warmMenus } from './menu/menuStore.js';
+import { attachRealtimeServer, getRealtimeHealth } from './realtimeHandler.js';
+import { handleInboundSms } from './telephony/inboundSms.js';
+import { startMessageCallback, startOrderCallback } from './telephony/outboundCalls.js';
+import { buildStreamTwiml } from './telephony/streamTwiml.js';
+import { handleTransferComplete, whisperTwiml } from './telephony/transfers.js';
+import { isValidTwilioRequest } from './telephony/twilioSignature.js';
+import { handleVoicemailRecording, voicemailCompleteTwiml, voicemailTwiml } from './telephony/voicemail.js';
+import { listTenants, resolveTenantForNumber } from './tenants/index.js';
+import { escapeXml } from './utils/xml.js';
 
 const app = express();
 
@@ -13,47 +24,173 @@ const sendTwimlMessage = (res, message) => {
   res.type('text/xml').send(`<Response><Say>${message}</Say></Response>`);
 };
 
-const normalizeStreamUrl = (value) => {
-  if (!value) return null;
-  const trimmed = value.trim();
-  if (!trimmed) return null;
-  if (trimmed.startsWith('wss://') || trimmed.startsWith('ws://')) {
-    return trimmed;
+app.get('/health', async (_req, res) => {
+  try {
+    const outbox = await getOutboxStats();
+    res.json({ status: 'ok', realtime: await getRealtimeHealth(), outbox });
+  } catch (err) {
+    console.error('[Outbox] failed to read stats for /health', err);
+    res.json({ status: 'ok', realtime: await getRealtimeHealth(), outbox: null });
   }
-  return `wss://${trimmed}`;
-};
-
-app.get('/health', (_req, res) => {
-  res.json({ status: 'ok' });
 });
 
 // Twilio voice webhook -> return TwiML that connects to the realtime stream endpoint.
-app.post('/voice', (req, res) => {
+app.post('/voice', async (req, res) => {
   const callSid = req.body?.CallSid || null;
   const fromNumber = req.body?.From || null;
   const toNumber = req.body?.To || null;
 
-  console.log('[Twilio] incoming /voice webhook', { callSid, from: fromNumber, to: toNumber });
+  const tenant = resolveTenantForNumber(toNumber);
+
+  console.log('[Twilio] incoming /voice webhook', { callSid, from: fromNumber, to: toNumber, tenantId: tenant.id });
+
+  // Degraded mode: with the AI path down, callers get a voicemail greeting instead of dead air.
+  const realtime = await getRealtimeHealth();
+  if (!realtime.available) {
+    console.warn('[Twilio] realtime unavailable; answering with voicemail', { callSid, reason: realtime.reason });
+    res.type('text/xml').send(
+      voicemailTwiml({
+        intro: `Thanks for calling${tenant.restaurantName ? ` ${tenant.restaurantName}` : ''}.`,
+        tenantId: tenant.id,
+        callerPhone: fromNumber,
+        reason: 'ai_unavailable',
+      })
+    );
+    return;
+  }
 
-  const streamUrl = normalizeStreamUrl(process.env.TWILIO_STREAM_URL);
-  if (!streamUrl) {
+  const twiml = buildStreamTwiml({
+    customerPhone: fromNumber,
+    dialedNumber: toNumber,
+    tenantId: tenant.id,
+    persona: tenant.persona,
+    restaurantId: tenant.restaurantId,
+    restaurantName: tenant.restaurantName,
+    voice: tenant.voice,
+    tools: tenant.tools?.join(','),
+  });
+  if (!twiml) {
     console.error('[Twilio] TWILIO_STREAM_URL not configured');
     sendTwimlMessage(res, 'Sorry, we cannot connect your call right now.');
     return;
   }
 
-  const twiml = `
-    <Response>
-      <Connect>
-        <Stream url="${streamUrl}" track="inbound_track">
-          <Parameter name="customerPhone" value="${fromNumber || ''}" />
-        </Stream>
-      </Connect>
-    </Response>
-  `;
+  res.type('text/xml');
+  res.send(twiml);
+});
+
+// Webhooks that act on the call or text people must come from Twilio.
+const rejectUnsigned = (req, res) => {
+  if (isValidTwilioRequest(req)) return false;
+  console.warn('[Twilio] rejected request with invalid Twilio signature', { path: req.path });
+  res.status(403).send('Forbidden');
+  return true;
+};
+
+// Twilio messaging webhook -> records STOP/START replies and runs the owner's reply commands.
+app.post('/sms', async (req, res) => {
+  if (rejectUnsigned(req, res)) return;
+
+  const fromNumber = req.body?.From || null;
+  let reply = null;
+  try {
+    reply = await handleInboundSms({ from: fromNumber, body: req.body?.Body || '' });
+  } catch (err) {
+    console.error('[SMS] failed to handle inbound message', { from: fromNumber, err });
+  }
 
   res.type('text/xml');
-  res.send(twiml.trim());
+  res.send(reply ? `<Response><Message>${escapeXml(reply)}</Message></Response>` : '<Response></Response>');
+});
+
+// Warm transfer whisper, played to the person answering before the caller is connected.
+app.post('/transfer/whisper', (req, res) => {
+  if (rejectUnsigned(req, res)) return;
+  const twiml = whisperTwiml(req.body?.ParentCallSid);
+  if (!twiml) {
+    console.warn('[Transfer] whisper requested for a call with no pending transfer', {
+      parentCallSid: req.body?.ParentCallSid,
+    });
+    res.status(404).send('Not Found');
+    return;
+  }
+  res.type('text/xml').send(twiml);
+});
+
+// Warm transfer <Dial> action -> hang up after a bridged call, otherwise fall back to the assistant or voicemail.
+app.post('/transfer/complete', async (req, res) => {
+  if (rejectUnsigned(req, res)) return;
+  console.log('[Transfer] dial finished', { callSid: req.body?.CallSid, status: req.body?.DialCallStatus });
+  let twiml;
+  try {
+    twiml = await handleTransferComplete({ body: req.body || {} });
+  } catch (err) {
+    console.error('[Transfer] failed to handle dial result', err);
+    twiml = '<Response><Say>Sorry, we could not connect your call. Goodbye.</Say><Hangup/></Response>';
+  }
+  if (twiml === null) {
+    console.warn('[Transfer] dial result for a call with no pending transfer', { callSid: req.body?.CallSid });
+    res.status(404).send('Not Found');
+    return;
+  }
+  res.type('text/xml').send(twiml);
+});
+
+// Voicemail <Record> action, after the caller finishes or hangs up.
+app.post('/voicemail/complete', (req, res) => {
+  if (rejectUnsigned(req, res)) return;
+  res.type('text/xml').send(voicemailCompleteTwiml());
+});
+
+// Voicemail recording status callback -> store the recording and notify the owner.
+app.post('/voicemail/recording', async (req, res) => {
+  if (rejectUnsigned(req, res)) return;
+  try {
+    await handleVoicemailRecording({ query: req.query, body: req.body || {} });
+  } catch (err) {
+    console.error('[Voicemail] failed to handle recording callback', { recordingSid: req.body?.RecordingSid, err });
+    res.status(500).send('Error');
+    return;
+  }
+  res.status(204).end();
+});
+
+const hasBearerToken = (req, token) => {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(req.get('authorization') || '');
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+};
+
+// Outbound callback API: { messageNumber } returns a captured message, { restaurantId, orderNumber }
+// confirms an order. Disabled unless CALLBACK_API_TOKEN is set.
+app.post('/callbacks', async (req, res) => {
+  const apiToken = process.env.CALLBACK_API_TOKEN;
+  if (!apiToken) {
+    res.status(404).json({ placed: false, reason: 'Callback API is disabled' });
+    return;
+  }
+  if (!hasBearerToken(req, apiToken)) {
+    res.status(401).json({ placed: false, reason: 'Unauthorized' });
+    return;
+  }
+
+  const { messageNumber, restaurantId, orderNumber } = req.body || {};
+  let result;
+  try {
+    if (Number.isInteger(messageNumber)) {
+      result = await startMessageCallback(messageNumber);
+    } else if (typeof restaurantId === 'string' && restaurantId && Number.isInteger(orderNumber)) {
+      result = await startOrderCallback(restaurantId, orderNumber);
+    } else {
+      res.status(400).json({ placed: false, reason: 'Send { messageNumber } or { restaurantId, orderNumber }' });
+      return;
+    }
+  } catch (err) {
+    console.error('[Calls] callback request failed', err);
+    result = { placed: false, reason: 'Callback failed unexpectedly' };
+  }
+
+  res.status(result.placed ? 202 : 422).json(result);
 });
 
 const port = process.env.PORT || 8080;
@@ -61,6 +198,14 @@ const server = http.createServer(app);
 
 // Attach the realtime WebSocket server to this HTTP server.
 attachRealtimeServer(server);
+startOutboxWorker();
+
+const restaurantIds = [...new Set(listTenants().map((tenant) => tenant.restaurantId).filter(Boolean))];
+if (restaurantIds.length) {
+  warmMenus(restaurantIds).catch((err) => {
+    console.warn('[Menu] failed to warm menu cache at startup', err);
+  });
+}
 
 server.listen(port, () => {
   console.log(`Voice AI server listening on port ${port}`);
@@ -0,0 +1,97 @@
+const CALLS_COLLECTION = 'calls';
+const OUTBOX_COLLECTION = 'outbox';
+const MESSAGES_COLLECTION = 'messages';
+const SMS_OPT_OUTS_COLLECTION = 'smsOptOuts';
+const COUNTERS_COLLECTION = 'counters';
+const VOICEMAILS_COLLECTION = 'voicemails';
+const VOICEMAIL_BUCKET = process.env.FIREBASE_STORAGE_BUCKET || null;
+// gRPC status code Firestore uses when create() finds an existing document.
+const ALREADY_EXISTS = 6;
+
+// Firestore rejects `undefined` anywhere in a document, so strip it before writing.
+const toFirestoreData = (value) => JSON.parse(JSON.stringify(value ?? null));
+
+export function createFirestoreStorage() {
+  // firebase.js initializes the admin SDK at import time; load it lazily so the
+  // local backend never needs Firebase credentials.
+  let firebasePromise = null;
+  const getFirebase = () => {
+    if (!firebasePromise) {
+      firebasePromise = import('../firebase.js');
+    }
+    return firebasePromise;
+  };
+  const getDb = () => getFirebase().then((mod) => mod.db);
+
+  const putDoc = async (collection, id, data) => {
+    const db = await getDb();
+    await db.collection(collection).doc(id).set(toFirestoreData(data));
+    return { stored: true, backend: 'firestore', location: `${collection}/${id}` };
+  };
+
+  // Resolves to false instead of overwriting when the document already exists.
+  const createDoc = async (collection, id, data) => {
+    const db = await getDb();
+    try {
+      await db.collection(collection).doc(id).create(toFirestoreData(data));
+      return true;
+    } catch (err) {
+      if (err?.code === ALREADY_EXISTS) return false;
+      throw err;
+    }
+  };
+
+  const getDoc = async (collection, id) => {
+    const db = await getDb();
+    const snap = await db.collection(collection).doc(id).get();
+    return snap.exists ? snap.data() : null;
+  };
+
+  const listDocs = async (collection, { status } = {}) => {
+    const db = await getDb();
+    let query = db.collection(collection);
+    if (status) query = query.where('status', '==', status);
+    const snap = await query.get();
+    return snap.docs.map((doc) => doc.data());
+  };
+
+  return {
+    name: 'firestore',
+
+    saveCall: (record) => putDoc(CALLS_COLLECTION, record.id, record),
+    getCall: (callId) => getDoc(CALLS_COLLECTION, callId),
+
+    saveOutboxEntry: (entry) => putDoc(OUTBOX_COLLECTION, entry.id, entry),
+    getOutboxEntry: (entryId) => getDoc(OUTBOX_COLLECTION, entryId),
+    listOutboxEntries: (filter) => listDocs(OUTBOX_COLLECTION, filter),
+
+    saveMessage: (record) => putDoc(MESSAGES_COLLECTION, record.id, record),
+    getMessage: (messageId) => getDoc(MESSAGES_COLLECTION, messageId),
+    listMessages: (filter) => listDocs(MESSAGES_COLLECTION, filter),
+
+    saveSmsOptOut: (record) => putDoc(SMS_OPT_OUTS_COLLECTION, record.id, record),
+    getSmsOptOut: (id) => getDoc(SMS_OPT_OUTS_COLLECTION, id),
+
+    createVoicemail: (record) => createDoc(VOICEMAILS_COLLECTION, record.id, record),
+    saveVoicemail: (record) => putDoc(VOICEMAILS_COLLECTION, record.id, record),
+    getVoicemail: (recordingSid) => getDoc(VOICEMAILS_COLLECTION, recordingSid),
+    // Audio goes to Cloud Storage; without a bucket only the Twilio recording URL is kept.
+    async saveVoicemailAudio(recordingSid, audio) {
+      if (!VOICEMAIL_BUCKET) return { stored: false, backend: 'firestore', reason: 'FIREBASE_STORAGE_BUCKET not set' };
+      const { admin } = await getFirebase();
+      const filePath = `${VOICEMAILS_COLLECTION}/${recordingSid}.mp3`;
+      await admin.storage().bucket(VOICEMAIL_BUCKET).file(filePath).save(audio, { contentType: 'audio/mpeg' });
+      return { stored: true, backend: 'firestore', location: `gs://${VOICEMAIL_BUCKET}/${filePath}` };
+    },
+
+    async nextSequence(name) {
+      const db = await getDb();
+      const ref = db.collection(COUNTERS_COLLECTION).doc(name);
+      return db.runTransaction(async (tx) => {
+        const value = ((await tx.get(ref)).data()?.value || 0) + 1;
+        tx.set(ref, { value });
+        return value;
+      });
+    },
+  };
+}
@@ -0,0 +1,105 @@
+import { createFirestoreStorage } from './firestoreStorage.js';
+import { createJsonFileStorage } from './jsonFileStorage.js';
+
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'local').trim().toLowerCase();
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || './data';
+
+// Nothing is persisted with STORAGE_BACKEND=none; the outbox, messages, SMS opt-outs, voicemail records and
+// counters are kept in memory so they still work for the lifetime of the process (voicemail audio is not).
+const createNoopStorage = () => {
+  const outbox = new Map();
+  const messages = new Map();
+  const smsOptOuts = new Map();
+  const voicemails = new Map();
+  const sequences = new Map();
+  return {
+    name: 'none',
+    async saveCall() {
+      return { stored: false, backend: 'none', reason: 'STORAGE_BACKEND=none' };
+    },
+    async getCall() {
+      return null;
+    },
+    async saveOutboxEntry(entry) {
+      outbox.set(entry.id, entry);
+      return { stored: false, backend: 'none', reason: 'STORAGE_BACKEND=none' };
+    },
+    async getOutboxEntry(entryId) {
+      return outbox.get(entryId) || null;
+    },
+    async listOutboxEntries({ status } = {}) {
+      return [...outbox.values()].filter((entry) => !status || entry.status === status);
+    },
+    async saveMessage(record) {
+      messages.set(record.id, record);
+      return { stored: false, backend: 'none', reason: 'STORAGE_BACKEND=none' };
+    },
+    async getMessage(messageId) {
+      return messages.get(messageId) || null;
+    },
+    async listMessages({ status } = {}) {
+      return [...messages.values()].filter((record) => !status || record.status === status);
+    },
+    async saveSmsOptOut(record) {
+      smsOptOuts.set(record.id, record);
+      return { stored: false, backend: 'none', reason: 'STORAGE_BACKEND=none' };
+    },
+    async getSmsOptOut(id) {
+      return smsOptOuts.get(id) || null;
+    },
+    async createVoicemail(record) {
+      if (voicemails.has(record.id)) return false;
+      voicemails.set(record.id, record);
+      return true;
+    },
+    async saveVoicemail(record) {
+      voicemails.set(record.id, record);
+      return { stored: false, backend: 'none', reason: 'STORAGE_BACKEND=none' };
+    },
+    async getVoicemail(recordingSid) {
+      return voicemails.get(recordingSid) || null;
+    },
+    async saveVoicemailAudio() {
+      return { stored: false, backend: 'none', reason: 'STORAGE_BACKEND=none' };
+    },
+    async nextSequence(name) {
+      const value = (sequences.get(name) || 0) + 1;
+      sequences.set(name, value);
+      return value;
+    },
+  };
+};
+
+let storage = null;
+
+// Every backend exposes the same async interface:
+// - saveCall(record) -> { stored, backend, location?, reason? }
+// - getCall(callId) -> record | null
+// - saveOutboxEntry(entry) / getOutboxEntry(entryId) / listOutboxEntries({ status? })
+// - saveMessage(record) / getMessage(messageId) / listMessages({ status? }): captured messages by message number
+// - saveSmsOptOut(record) / getSmsOptOut(id): SMS opt-outs keyed by phone digits
+// - saveVoicemail(record) / getVoicemail(recordingSid): voicemail metadata and notification result
+// - createVoicemail(record) -> true, or false without writing when that recording already has a record
+// - saveVoicemailAudio(recordingSid, buffer) -> { stored, backend, location?, reason? }: the recording's mp3
+// - nextSequence(name) -> 1, 2, 3, ... (short reference numbers, e.g. for messages)
+export function getStorage() {
+  if (storage) return storage;
+
+  switch (STORAGE_BACKEND) {
+    case 'firestore':
+      storage = createFirestoreStorage();
+      break;
+    case 'none':
+      storage = createNoopStorage();
+      break;
+    case 'local':
+      storage = createJsonFileStorage({ dir: LOCAL_STORAGE_DIR });
+      break;
+    default:
+      console.warn(`[Storage] unknown STORAGE_BACKEND=${STORAGE_BACKEND}; falling back to local`);
+      storage = createJsonFileStorage({ dir: LOCAL_STORAGE_DIR });
+  }
+
+  console.log(`[Storage] using ${storage.name} backend`);
+  return storage;
+}
@@ -0,0 +1,129 @@
+import { link, mkdir, readdir, readFile, rename, unlink, writeFile } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+
+const safeId = (value) => String(value || '').replace(/[^a-zA-Z0-9_-]/g, '_');
+
+const readJson = async (filePath) => {
+  try {
+    const contents = await readFile(filePath, 'utf8');
+    return JSON.parse(contents);
+  } catch (err) {
+    if (err?.code === 'ENOENT') return null;
+    throw err;
+  }
+};
+
+const tmpPathFor = (filePath) => `${filePath}.${process.pid}.${randomUUID()}.tmp`;
+
+// Writes to the same file are queued, so the last one to start is the one that sticks.
+const writeChains = new Map();
+const serializeWrite = (filePath, write) => {
+  const next = (writeChains.get(filePath) || Promise.resolve()).then(write);
+  const chain = next.catch(() => {});
+  writeChains.set(filePath, chain);
+  chain.then(() => {
+    if (writeChains.get(filePath) === chain) writeChains.delete(filePath);
+  });
+  return next;
+};
+
+// Write to a uniquely named temp file first so a crash mid-write never leaves a truncated record behind.
+const writeJsonAtomic = (filePath, data) =>
+  serializeWrite(filePath, async () => {
+    await mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = tmpPathFor(filePath);
+    await writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await rename(tmpPath, filePath);
+  });
+
+export function createJsonFileStorage({ dir }) {
+  const rootDir = path.resolve(dir);
+  const docPath = (collection, id) => path.join(rootDir, collection, `${safeId(id)}.json`);
+
+  const putDoc = async (collection, id, data) => {
+    const filePath = docPath(collection, id);
+    await writeJsonAtomic(filePath, data);
+    return { stored: true, backend: 'local', location: filePath };
+  };
+
+  // Hard-linking the finished temp file fails with EEXIST when the record is already there, so of two
+  // concurrent creates exactly one wins. Resolves to whether this call created it.
+  const createDoc = async (collection, id, data) => {
+    const filePath = docPath(collection, id);
+    await mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = tmpPathFor(filePath);
+    await writeFile(tmpPath, JSON.stringify(data, null, 2));
+    try {
+      await link(tmpPath, filePath);
+      return true;
+    } catch (err) {
+      if (err?.code === 'EEXIST') return false;
+      throw err;
+    } finally {
+      await unlink(tmpPath).catch(() => {});
+    }
+  };
+
+  const getDoc = (collection, id) => readJson(docPath(collection, id));
+
+  const listDocs = async (collection, predicate = () => true) => {
+    let fileNames = [];
+    try {
+      fileNames = await readdir(path.join(rootDir, collection));
+    } catch (err) {
+      if (err?.code === 'ENOENT') return [];
+      throw err;
+    }
+    const docs = await Promise.all(
+      fileNames
+        .filter((fileName) => fileName.endsWith('.json'))
+        .map((fileName) => readJson(path.join(rootDir, collection, fileName)))
+    );
+    return docs.filter((doc) => doc && predicate(doc));
+  };
+
+  // Counters are read-modify-write on one file, so increments are chained within the process.
+  let sequenceChain = Promise.resolve();
+  const nextSequence = (name) => {
+    const next = sequenceChain.then(async () => {
+      const current = (await getDoc('counters', name))?.value || 0;
+      await putDoc('counters', name, { value: current + 1 });
+      return current + 1;
+    });
+    sequenceChain = next.catch(() => {});
+    return next;
+  };
+
+  return {
+    name: 'local',
+
+    saveCall: (record) => putDoc('calls', record.id, record),
+    getCall: (callId) => getDoc('calls', callId),
+
+    saveOutboxEntry: (entry) => putDoc('outbox', entry.id, entry),
+    getOutboxEntry: (entryId) => getDoc('outbox', entryId),
+    listOutboxEntries: ({ status } = {}) =>
+      listDocs('outbox', (entry) => !status || entry.status === status),
+
+    saveMessage: (record) => putDoc('messages', record.id, record),
+    getMessage: (messageId) => getDoc('messages', messageId),
+    listMessages: ({ status } = {}) =>
+      listDocs('messages', (record) => !status || record.status === status),
+
+    saveSmsOptOut: (record) => putDoc('sms-opt-outs', record.id, record),
+    getSmsOptOut: (id) => getDoc('sms-opt-outs', id),
+
+    createVoicemail: (record) => createDoc('voicemails', record.id, record),
+    saveVoicemail: (record) => putDoc('voicemails', record.id, record),
+    getVoicemail: (recordingSid) => getDoc('voicemails', recordingSid),
+    async saveVoicemailAudio(recordingSid, audio) {
+      const filePath = path.join(rootDir, 'voicemails', `${safeId(recordingSid)}.mp3`);
+      await mkdir(path.dirname(filePath), { recursive: true });
+      await writeFile(filePath, audio);
+      return { stored: true, backend: 'local', location: filePath };
+    },
+
+    nextSequence,
+  };
+}
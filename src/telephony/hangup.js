@@ -0,0 +1,22 @@
+import { escapeXml } from '../utils/xml.js';
+import { getTwilioClient } from './twilioClient.js';
+
+// Ends a live call through the REST API, optionally saying `message` first (which also ends the
+// media stream). Resolves to { ended, reason? }.
+export async function hangUpCall({ callSid, message = null }) {
+  if (!callSid) return { ended: false, reason: 'CallSid unknown' };
+  const client = getTwilioClient();
+  if (!client) return { ended: false, reason: 'Twilio account credentials missing' };
+
+  const update = message
+    ? { twiml: `<Response><Say>${escapeXml(message)}</Say><Hangup/></Response>` }
+    : { status: 'completed' };
+  try {
+    await client.calls(callSid).update(update);
+    console.log('[Calls] call ended', { callSid });
+    return { ended: true };
+  } catch (err) {
+    console.error('[Calls] failed to end call', { callSid, err });
+    return { ended: false, reason: 'Twilio call update failed' };
+  }
+}
@@ -0,0 +1,34 @@
+// Comfort tone for the Twilio media stream while the assistant is reconnecting: a short, quiet beep
+// followed by silence, as base64 G.711 u-law at 8 kHz (the format media streams carry).
+const SAMPLE_RATE = 8000;
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+const encodeMulaw = (value) => {
+  let sample = Math.max(-32768, Math.min(32767, Math.round(value)));
+  const sign = sample < 0 ? 0x80 : 0;
+  if (sign) sample = -sample;
+  sample = Math.min(sample, MULAW_CLIP) + MULAW_BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) exponent -= 1;
+  const mantissa = (sample >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+};
+
+const cache = new Map();
+
+// One period of the pattern (`toneMs` of a sine at `frequency`, then silence up to `periodMs`).
+export const holdToneChunk = ({ periodMs = 2000, toneMs = 200, frequency = 440, amplitude = 0.1 } = {}) => {
+  const key = `${periodMs}:${toneMs}:${frequency}:${amplitude}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const samples = Buffer.alloc((periodMs * SAMPLE_RATE) / 1000);
+  const toneSamples = (toneMs * SAMPLE_RATE) / 1000;
+  for (let i = 0; i < samples.length; i += 1) {
+    const value = i < toneSamples ? Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE) * amplitude * 32767 : 0;
+    samples[i] = encodeMulaw(value);
+  }
+  const payload = samples.toString('base64');
+  cache.set(key, payload);
+  return payload;
+};
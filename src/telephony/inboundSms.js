@@ -0,0 +1,21 @@
+import { setOptOut, smsKeyword } from '../delivery/smsOptOuts.js';
+import { areSamePhone } from '../utils/phone.js';
+import { handleOwnerCommand } from './ownerCommands.js';
+
+// Handles an inbound text to one of our numbers. Resolves to the reply text, or null for no reply.
+// Twilio's own opt-out handling sends the STOP/START confirmations, so we only record them.
+// Anything else is only acted on when it comes from TWILIO_OWNER_PHONE; other senders get no reply.
+export async function handleInboundSms({ from, body }) {
+  const keyword = smsKeyword(body);
+  if (keyword) {
+    await setOptOut(from, keyword === 'opt_out', { source: 'keyword' });
+    return null;
+  }
+
+  if (areSamePhone(from, process.env.TWILIO_OWNER_PHONE)) {
+    return handleOwnerCommand({ from, body });
+  }
+
+  console.log('[SMS] ignoring inbound text from non-owner', { from });
+  return null;
+}
@@ -0,0 +1,98 @@
+// Keypad (DTMF) handling for the realtime bridge. A persona's `keypad` maps keys to actions,
+// e.g. { '0': 'voicemail', '9': 'transfer', '#': 'repeat' }. Presses are interpreted as:
+// - `#` or `*` with nothing typed yet: that key's action right away
+// - a single bound digit followed by a pause: that digit's action; the pause is what tells it apart
+//   from typed input starting with that digit, so a single digit ended with `#` is typed input
+// - anything else: digits collected until `#` or a pause, then handed over as typed input
+//   (order numbers, callback numbers); `*` while typing starts over
+// Bindings are single keys; anything else would overlap typed input and is dropped when personas load.
+
+const DTMF_DIGIT_TIMEOUT_MS = Number(process.env.DTMF_DIGIT_TIMEOUT_MS || 2500);
+const MAX_COLLECTED_DIGITS = 20;
+
+const KEY_NAMES = { '#': 'pound', '*': 'star' };
+
+export const KEYPAD_ACTIONS = {
+  voicemail: 'leave a voicemail',
+  transfer: 'speak to a person',
+  repeat: 'hear your last answer again',
+};
+
+// Returns the bindings that can fire, warning about the rest.
+export function checkKeypadBindings(personaId, bindings) {
+  if (!bindings) return null;
+  const valid = {};
+  for (const [key, action] of Object.entries(bindings)) {
+    if (!/^[0-9*#]$/.test(key)) {
+      console.warn('[Keypad] ignoring binding that is not a single key; it would overlap typed input', {
+        personaId,
+        key,
+        action,
+      });
+    } else if (!KEYPAD_ACTIONS[action]) {
+      console.warn('[Keypad] ignoring binding to an unknown action', { personaId, key, action });
+    } else {
+      valid[key] = action;
+    }
+  }
+  return valid;
+}
+
+// One instruction line describing the bindings, or null when the persona has none.
+export function describeKeypad(bindings) {
+  const entries = Object.entries(bindings || {}).filter(([, action]) => KEYPAD_ACTIONS[action]);
+  if (!entries.length) return null;
+  const keys = entries.map(([key, action]) => `${KEY_NAMES[key] || key} to ${KEYPAD_ACTIONS[action]}`);
+  return (
+    `KEYPAD: Callers can press ${keys.join(', ')}, or type numbers (like an order or callback number) ` +
+    'ending with pound. Typed numbers arrive as "Keypad input" messages; trust them over speech. ' +
+    'If the caller is hard to hear, suggest the keypad.'
+  );
+}
+
+export function createKeypadCollector({ bindings = {}, onAction, onDigits, timeoutMs = DTMF_DIGIT_TIMEOUT_MS }) {
+  let buffer = '';
+  let timer = null;
+
+  const flush = ({ submitted = false } = {}) => {
+    clearTimeout(timer);
+    timer = null;
+    const typed = buffer;
+    buffer = '';
+    if (!typed) return;
+    if (!submitted && typed.length === 1 && bindings[typed]) {
+      onAction(bindings[typed], typed);
+    } else {
+      onDigits(typed);
+    }
+  };
+
+  return {
+    press(key) {
+      if (!/^[0-9*#]$/.test(key || '')) return;
+
+      if (!buffer && (key === '#' || key === '*')) {
+        if (bindings[key]) onAction(bindings[key], key);
+        return;
+      }
+      if (key === '#') {
+        flush({ submitted: true });
+        return;
+      }
+      if (key === '*') {
+        clearTimeout(timer);
+        buffer = '';
+        return;
+      }
+
+      buffer = (buffer + key).slice(-MAX_COLLECTED_DIGITS);
+      clearTimeout(timer);
+      timer = setTimeout(flush, timeoutMs);
+    },
+
+    stop() {
+      clearTimeout(timer);
+      buffer = '';
+    },
+  };
+}
@@ -0,0 +1,89 @@
+import { getMessageByNumber, updateMessage } from '../delivery/messages.js';
+import { getTenant, listTenants } from '../tenants/index.js';
+import { normalizeCallerPhone } from '../utils/phone.js';
+import { buildStreamTwiml } from './streamTwiml.js';
+import { getTwilioClient } from './twilioClient.js';
+
+// Assistant-driven callbacks: Twilio dials the caller and, once answered, connects the call to
+// /realtime like an inbound call. The purpose travels as stream parameters, so the persona
+// opens with context ("calling back about your message") instead of its inbound greeting.
+export const CALLBACK_PURPOSES = ['return_message', 'confirm_order'];
+
+const OUTBOUND_CALL_TIMEOUT_SECONDS = Number(process.env.OUTBOUND_CALL_TIMEOUT_SECONDS || 30);
+const MAX_SUBJECT_LENGTH = 120;
+
+// Calls go out from the tenant's own line so the caller recognizes the number they dialed.
+const callerIdFor = (tenant) =>
+  tenant?.numbers?.[0] || normalizeCallerPhone(process.env.PHONE_RELAY_NUMBER || process.env.TWILIO_SMS_FROM);
+
+// Resolves to { placed, callSid?, reason? }.
+export async function placeCallbackCall({ to, tenant, persona, purpose, callback = {} }) {
+  const phone = normalizeCallerPhone(to);
+  if (!phone) return { placed: false, reason: 'No phone number to call' };
+  if (!CALLBACK_PURPOSES.includes(purpose)) return { placed: false, reason: `Unknown callback purpose ${purpose}` };
+
+  const from = callerIdFor(tenant);
+  const client = getTwilioClient();
+  if (!client || !from) {
+    return { placed: false, reason: 'Twilio credentials or PHONE_RELAY_NUMBER missing' };
+  }
+
+  const twiml = buildStreamTwiml({
+    customerPhone: phone,
+    callDirection: 'outbound',
+    tenantId: tenant?.id,
+    persona: persona || tenant?.persona,
+    restaurantId: tenant?.restaurantId,
+    restaurantName: tenant?.restaurantName,
+    voice: tenant?.voice,
+    tools: tenant?.tools?.join(','),
+    callbackPurpose: purpose,
+    callbackName: callback.name,
+    callbackSubject: callback.subject?.slice(0, MAX_SUBJECT_LENGTH),
+    callbackMessageNumber: callback.messageNumber,
+    callbackOrderNumber: callback.orderNumber,
+  });
+  if (!twiml) return { placed: false, reason: 'TWILIO_STREAM_URL not configured' };
+
+  try {
+    const call = await client.calls.create({ to: phone, from, twiml, timeout: OUTBOUND_CALL_TIMEOUT_SECONDS });
+    console.log('[Calls] callback placed', { callSid: call.sid, tenantId: tenant?.id || null, purpose });
+    return { placed: true, callSid: call.sid };
+  } catch (err) {
+    console.error('[Calls] failed to place callback', { tenantId: tenant?.id || null, purpose, err });
+    return { placed: false, reason: 'Twilio call failed' };
+  }
+}
+
+// Calls back the person who left message `messageNumber`.
+export async function startMessageCallback(messageNumber) {
+  const record = await getMessageByNumber(messageNumber);
+  if (!record) return { placed: false, reason: `No message #${messageNumber}` };
+
+  const result = await placeCallbackCall({
+    to: record.contactPhone || record.callerPhone,
+    tenant: getTenant(record.tenantId) || getTenant(null),
+    purpose: 'return_message',
+    callback: { name: record.callerName, subject: record.subject, messageNumber: record.messageNumber },
+  });
+  if (result.placed) {
+    await updateMessage(record, { type: 'callback', callSid: result.callSid });
+  }
+  return result;
+}
+
+// Calls the customer who placed `orderNumber` to confirm it, using the ordering persona.
+export async function startOrderCallback(restaurantId, orderNumber) {
+  const { findOrderByNumber } = await import('../orders/orderStore.js');
+  const order = await findOrderByNumber(restaurantId, orderNumber);
+  if (!order) return { placed: false, reason: `No order #${orderNumber}` };
+
+  const tenant = listTenants().find((candidate) => candidate.restaurantId === restaurantId) || getTenant(null);
+  return placeCallbackCall({
+    to: order.customerPhone,
+    tenant: { ...tenant, restaurantId },
+    persona: 'ordering',
+    purpose: 'confirm_order',
+    callback: { name: order.customerName, orderNumber: order.orderNumber },
+  });
+}
@@ -0,0 +1,131 @@
+import { sendSmsTo } from '../delivery/channels/sms.js';
+import { getMessageByNumber, listOpenMessages, updateMessage } from '../delivery/messages.js';
+import { isOptedOut, setOptOut } from '../delivery/smsOptOuts.js';
+import { normalizeCallerPhone } from '../utils/phone.js';
+import { escapeXml } from '../utils/xml.js';
+import { startMessageCallback } from './outboundCalls.js';
+import { getTwilioClient } from './twilioClient.js';
+
+// Commands Tom can text back to the assistant's number:
+//   LIST                 open messages, newest first
+//   CALL 12              ring Tom's phone, then connect him to the person who left message 12
+//   CALLBACK 12          have the assistant call that person back about message 12
+//   TEXT 12 <message>    relay a text to the person who left message 12
+//   DONE 12              mark message 12 handled
+export const OWNER_COMMANDS_HELP = 'Commands: LIST, CALL <id>, CALLBACK <id>, TEXT <id> <message>, DONE <id>';
+
+const MAX_RELAY_LENGTH = 600;
+
+export const parseOwnerCommand = (body) => {
+  const text = String(body || '').trim();
+  if (/^list$/i.test(text)) return { command: 'list' };
+
+  const match = /^(call|callback|text|done)\s+#?(\d+)(?:\s+([\s\S]+))?$/i.exec(text);
+  if (!match) return null;
+  const command = match[1].toLowerCase();
+  const argument = match[3]?.trim() || null;
+  if (command === 'text' ? !argument : argument) return null;
+  return { command, messageNumber: Number(match[2]), text: argument };
+};
+
+const describeCaller = (record) => record.callerName || record.contactPhone || record.callerPhone || 'unknown caller';
+
+const callerNumber = (record) => normalizeCallerPhone(record.contactPhone) || normalizeCallerPhone(record.callerPhone);
+
+const describeAge = (createdAt) => {
+  const minutes = Math.max(0, Math.round((Date.now() - Date.parse(createdAt)) / 60_000));
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)}h ago`;
+  return `${Math.round(minutes / (24 * 60))}d ago`;
+};
+
+const listMessages = async () => {
+  const records = await listOpenMessages();
+  if (!records.length) return 'No open messages.';
+  return [
+    'Open messages:',
+    ...records.map(
+      (record) =>
+        `#${record.messageNumber} ${describeCaller(record)}: ${record.subject} (${describeAge(record.createdAt)})`
+    ),
+  ].join('\n');
+};
+
+const relayText = async (record, text) => {
+  const to = callerNumber(record);
+  if (!to) return `#${record.messageNumber} has no phone number to text.`;
+  if (await isOptedOut(to)) return `#${record.messageNumber}: ${describeCaller(record)} has opted out of texts.`;
+
+  const result = await sendSmsTo(to, `Message from Tom: ${text.slice(0, MAX_RELAY_LENGTH)}\nReply STOP to opt out.`);
+  if (result.unsubscribed) {
+    await setOptOut(to, true, { source: 'carrier' });
+    return `#${record.messageNumber}: ${describeCaller(record)} has opted out of texts.`;
+  }
+  if (!result.delivered) return `Could not text #${record.messageNumber}: ${result.reason}`;
+
+  await updateMessage(record, { type: 'text', text, messageSid: result.messageSid });
+  return `Texted ${describeCaller(record)} (#${record.messageNumber}).`;
+};
+
+// Calls Tom first and only dials the caller once he picks up, so the caller never hears a ringing bot.
+const bridgeCall = async (record, ownerPhone) => {
+  const to = callerNumber(record);
+  if (!to) return `#${record.messageNumber} has no phone number to call.`;
+
+  const from = normalizeCallerPhone(process.env.PHONE_RELAY_NUMBER || process.env.TWILIO_SMS_FROM);
+  const client = getTwilioClient();
+  if (!client || !from) return 'Calling is not configured (Twilio credentials or PHONE_RELAY_NUMBER missing).';
+
+  const twiml = [
+    '<Response>',
+    `<Say>Connecting you to ${escapeXml(describeCaller(record))}, message ${record.messageNumber}.</Say>`,
+    `<Dial callerId="${escapeXml(from)}">${escapeXml(to)}</Dial>`,
+    '</Response>',
+  ].join('');
+
+  try {
+    const call = await client.calls.create({ to: ownerPhone, from, twiml });
+    await updateMessage(record, { type: 'call', callSid: call.sid });
+    return `Calling you now to connect with ${describeCaller(record)} (#${record.messageNumber}).`;
+  } catch (err) {
+    console.error('[SMS] failed to start owner callback', { messageNumber: record.messageNumber, err });
+    return `Could not start the call for #${record.messageNumber}.`;
+  }
+};
+
+const assistantCallback = async (record) => {
+  const result = await startMessageCallback(record.messageNumber);
+  return result.placed
+    ? `Calling ${describeCaller(record)} back about #${record.messageNumber}.`
+    : `Could not call back #${record.messageNumber}: ${result.reason}`;
+};
+
+const markDone = async (record) => {
+  if (record.status === 'done') return `#${record.messageNumber} was already done.`;
+  await updateMessage(record, { type: 'done' }, { status: 'done', handledAt: new Date().toISOString() });
+  return `#${record.messageNumber} marked done.`;
+};
+
+// Resolves to the reply text for an SMS from the owner's phone.
+export async function handleOwnerCommand({ from, body }) {
+  const parsed = parseOwnerCommand(body);
+  if (!parsed) return OWNER_COMMANDS_HELP;
+  if (parsed.command === 'list') return listMessages();
+
+  const record = await getMessageByNumber(parsed.messageNumber);
+  if (!record) return `No message #${parsed.messageNumber}.`;
+
+  console.log('[SMS] owner command', { command: parsed.command, messageNumber: parsed.messageNumber });
+  switch (parsed.command) {
+    case 'text':
+      return relayText(record, parsed.text);
+    case 'call':
+      return bridgeCall(record, from);
+    case 'callback':
+      return assistantCallback(record);
+    case 'done':
+      return markDone(record);
+    default:
+      return OWNER_COMMANDS_HELP;
+  }
+}
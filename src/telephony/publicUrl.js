@@ -0,0 +1,17 @@
+import { getStreamUrl } from './streamTwiml.js';
+
+// Absolute https base URL Twilio can reach for callbacks (Dial actions, whisper TwiML).
+// PUBLIC_BASE_URL wins; otherwise it is derived from the host in TWILIO_STREAM_URL.
+export function getPublicBaseUrl() {
+  const configured = (process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '');
+  if (configured) return configured;
+
+  const streamUrl = getStreamUrl();
+  if (!streamUrl) return null;
+  try {
+    const url = new URL(streamUrl);
+    return `${url.protocol === 'ws:' ? 'http:' : 'https:'}//${url.host}`;
+  } catch {
+    return null;
+  }
+}
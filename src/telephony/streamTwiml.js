@@ -0,0 +1,36 @@
+import { escapeXml } from '../utils/xml.js';
+
+const normalizeStreamUrl = (value) => {
+  if (!value) return null;
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+  if (trimmed.startsWith('wss://') || trimmed.startsWith('ws://')) {
+    return trimmed;
+  }
+  return `wss://${trimmed}`;
+};
+
+export const getStreamUrl = () => normalizeStreamUrl(process.env.TWILIO_STREAM_URL);
+
+const buildStreamParameters = (params) =>
+  Object.entries(params)
+    .filter(([, value]) => value != null && value !== '')
+    .map(([name, value]) => `<Parameter name="${escapeXml(name)}" value="${escapeXml(value)}" />`)
+    .join('\n          ');
+
+// TwiML connecting a call to the /realtime bridge; `params` arrive there as the start event's
+// customParameters. Returns null when TWILIO_STREAM_URL is not configured.
+export function buildStreamTwiml(params) {
+  const streamUrl = getStreamUrl();
+  if (!streamUrl) return null;
+
+  return `
+    <Response>
+      <Connect>
+        <Stream url="${escapeXml(streamUrl)}" track="inbound_track">
+          ${buildStreamParameters(params)}
+        </Stream>
+      </Connect>
+    </Response>
+  `.trim();
+}
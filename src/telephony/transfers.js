@@ -0,0 +1,144 @@
+import { getStorage } from '../storage/index.js';
+import { getTenant } from '../tenants/index.js';
+import { escapeXml } from '../utils/xml.js';
+import { getPublicBaseUrl } from './publicUrl.js';
+import { buildStreamTwiml } from './streamTwiml.js';
+import { getTwilioClient } from './twilioClient.js';
+import { voicemailTwiml } from './voicemail.js';
+
+// Warm transfers: transfer_call swaps the live call's TwiML for a <Dial> to the tenant's target.
+// That ends the media stream, so the outcome arrives later on the Dial action (/transfer/complete),
+// which either hangs up (the call was bridged) or falls back to the assistant or a voicemail.
+// Routing state (tenant, target, caller, whisper) stays in this process keyed by the caller's CallSid,
+// so the callbacks carry nothing to tamper with and callbacks for unknown calls are refused.
+
+const MAX_WHISPER_LENGTH = 200;
+const CONNECTED_STATUSES = new Set(['completed', 'answered']);
+// A bridged call only reports back through the Dial action when it ends; Twilio caps calls at 4 hours.
+const PENDING_TRANSFER_TTL_MS = 4 * 60 * 60_000;
+
+const pendingTransfers = new Map();
+
+const forgetPendingTransfer = (callSid) => {
+  clearTimeout(pendingTransfers.get(callSid)?.expiryTimer);
+  pendingTransfers.delete(callSid);
+};
+
+export const findTransferTarget = (transfer, requested) => {
+  if (!requested) return transfer.targets[0];
+  const key = String(requested).trim().toLowerCase();
+  return (
+    transfer.targets.find((target) => target.id.toLowerCase() === key || target.name?.toLowerCase() === key) || null
+  );
+};
+
+const callbackUrl = (path) => `${getPublicBaseUrl()}${path}`;
+
+// Resolves to { started, reason? }.
+export async function startTransfer({ callSid, tenant, target, callerPhone, callerName, reason }) {
+  if (!callSid) return { started: false, reason: 'CallSid unknown' };
+  if (!getPublicBaseUrl()) return { started: false, reason: 'PUBLIC_BASE_URL (or TWILIO_STREAM_URL) not configured' };
+  const client = getTwilioClient();
+  if (!client) return { started: false, reason: 'Twilio account credentials missing' };
+
+  const whisperText = `Call from ${callerName || 'a caller'}${reason ? ` about ${reason}` : ''}. Connecting now.`;
+  const whisperAttribute = tenant.transfer.whisper ? ` url="${escapeXml(callbackUrl('/transfer/whisper'))}"` : '';
+  const actionUrl = callbackUrl('/transfer/complete');
+
+  const twiml = [
+    '<Response>',
+    '<Say>Please hold while I connect you.</Say>',
+    `<Dial timeout="${tenant.transfer.timeoutSeconds}" action="${escapeXml(actionUrl)}">`,
+    `<Number${whisperAttribute}>${escapeXml(target.number)}</Number>`,
+    '</Dial>',
+    '</Response>',
+  ].join('');
+
+  forgetPendingTransfer(callSid);
+  const expiryTimer = setTimeout(() => pendingTransfers.delete(callSid), PENDING_TRANSFER_TTL_MS);
+  expiryTimer.unref();
+  pendingTransfers.set(callSid, {
+    tenantId: tenant.id,
+    targetId: target.id,
+    customerPhone: callerPhone,
+    whisperText: whisperText.slice(0, MAX_WHISPER_LENGTH),
+    expiryTimer,
+  });
+
+  try {
+    await client.calls(callSid).update({ twiml });
+    console.log('[Transfer] call redirected', { callSid, tenantId: tenant.id, targetId: target.id });
+    return { started: true };
+  } catch (err) {
+    forgetPendingTransfer(callSid);
+    console.error('[Transfer] failed to redirect call', { callSid, tenantId: tenant.id, err });
+    return { started: false, reason: 'Twilio call update failed' };
+  }
+}
+
+// Played to the person being transferred to before the caller is connected. The whisper request
+// comes from the dialed leg, so the transfer is found by its ParentCallSid; null when there is none.
+export const whisperTwiml = (parentCallSid) => {
+  const transfer = parentCallSid ? pendingTransfers.get(parentCallSid) : null;
+  if (!transfer) return null;
+  return `<Response><Say>${escapeXml(transfer.whisperText)}</Say></Response>`;
+};
+
+// The stream has closed (and saved its call record) by the time the Dial finishes, so the
+// outcome is merged into the stored record.
+const recordTransferOutcome = async (callSid, outcome) => {
+  console.log('[Call Summary] transfer outcome', { callSid, ...outcome });
+  if (!callSid) return;
+  try {
+    const storage = getStorage();
+    const record = await storage.getCall(callSid);
+    if (!record) return;
+    record.transfer = { ...(record.transfer || {}), ...outcome };
+    await storage.saveCall(record);
+  } catch (err) {
+    console.error('[Transfer] failed to record transfer outcome', { callSid, err });
+  }
+};
+
+// Dial action handler: resolves to the TwiML that continues the call, or null when the CallSid has
+// no pending transfer.
+export async function handleTransferComplete({ body = {} }) {
+  const transfer = body.CallSid ? pendingTransfers.get(body.CallSid) : null;
+  if (!transfer) return null;
+  forgetPendingTransfer(body.CallSid);
+
+  const status = body.DialCallStatus || 'failed';
+  const connected = CONNECTED_STATUSES.has(status);
+  await recordTransferOutcome(body.CallSid, {
+    status: connected ? 'connected' : status,
+    durationSeconds: Number(body.DialCallDuration) || 0,
+    completedAt: new Date().toISOString(),
+  });
+
+  if (connected) return '<Response><Hangup/></Response>';
+
+  const tenant = getTenant(transfer.tenantId) || getTenant(null);
+  const target = tenant.transfer?.targets.find((candidate) => candidate.id === transfer.targetId) || null;
+  const apology = `Sorry, ${target?.name || 'nobody'} couldn't take your call.`;
+  const voicemail = {
+    intro: apology,
+    tenantId: tenant.id,
+    callerPhone: transfer.customerPhone,
+    reason: 'transfer_unanswered',
+  };
+  if (tenant.transfer?.fallback === 'voicemail') return voicemailTwiml(voicemail);
+
+  return (
+    buildStreamTwiml({
+      customerPhone: transfer.customerPhone,
+      tenantId: tenant.id,
+      persona: tenant.persona,
+      restaurantId: tenant.restaurantId,
+      restaurantName: tenant.restaurantName,
+      voice: tenant.voice,
+      tools: tenant.tools?.join(','),
+      transferStatus: status,
+      transferTargetName: target?.name,
+    }) || voicemailTwiml(voicemail)
+  );
+}
@@ -0,0 +1,15 @@
+import twilio from 'twilio';
+
+let client = null;
+
+// Returns a shared Twilio REST client, or null when credentials are not configured.
+export function getTwilioClient() {
+  if (client) return client;
+
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!accountSid || !authToken) return null;
+
+  client = twilio(accountSid, authToken);
+  return client;
+}
@@ -0,0 +1,23 @@
+import twilio from 'twilio';
+
+const TWILIO_VALIDATE_SIGNATURES = (process.env.TWILIO_VALIDATE_SIGNATURES || 'true').trim().toLowerCase() !== 'false';
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '');
+
+// Twilio signs the public URL it called; behind a proxy the request's own host or protocol can
+// differ, so PUBLIC_BASE_URL pins it.
+const publicUrl = (req) => {
+  if (PUBLIC_BASE_URL) return `${PUBLIC_BASE_URL}${req.originalUrl}`;
+  const proto = req.get('x-forwarded-proto')?.split(',')[0].trim() || req.protocol;
+  return `${proto}://${req.get('host')}${req.originalUrl}`;
+};
+
+// True when the request carries a valid X-Twilio-Signature. Without TWILIO_AUTH_TOKEN (local
+// development) or with TWILIO_VALIDATE_SIGNATURES=false every request passes.
+export function isValidTwilioRequest(req) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!TWILIO_VALIDATE_SIGNATURES || !authToken) return true;
+
+  const signature = req.get('x-twilio-signature');
+  if (!signature) return false;
+  return twilio.validateRequest(authToken, signature, publicUrl(req), req.body || {});
+}
@@ -0,0 +1,253 @@
+import { recordMessage } from '../delivery/messages.js';
+import { enqueueMessage } from '../delivery/outbox.js';
+import { getStorage } from '../storage/index.js';
+import { getTenant } from '../tenants/index.js';
+import { normalizeCallerPhone } from '../utils/phone.js';
+import { escapeXml } from '../utils/xml.js';
+import { getPublicBaseUrl } from './publicUrl.js';
+import { getTwilioClient } from './twilioClient.js';
+
+// Voicemail is the fallback whenever the assistant can't handle the call: the caller pressed the
+// voicemail key, a transfer went unanswered, or the OpenAI realtime path is down. Twilio records,
+// then posts the finished recording to /voicemail/recording, which keeps the audio and notifies Tom
+// through the same outbox as captured messages.
+export const VOICEMAIL_REASONS = ['keypad', 'transfer_unanswered', 'ai_unavailable'];
+
+const VOICEMAIL_MAX_SECONDS = Number(process.env.VOICEMAIL_MAX_SECONDS || 120);
+const RECORDING_FETCH_TIMEOUT_MS = Number(process.env.RECORDING_FETCH_TIMEOUT_MS || 10_000);
+// A 'processing' claim older than this belongs to a callback that died mid-way and may be taken over.
+const VOICEMAIL_CLAIM_LEASE_MS = Number(process.env.VOICEMAIL_CLAIM_LEASE_MS || 60_000);
+
+const callbackUrl = (path, params = {}) => {
+  const baseUrl = getPublicBaseUrl();
+  if (!baseUrl) return null;
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value != null && value !== ''));
+  return `${baseUrl}${path}${[...query].length ? `?${query}` : ''}`;
+};
+
+// TwiML that records a voicemail after the tenant's recorded greeting (`voicemailGreetingUrl`), or else a
+// spoken intro and prompt. Without a public base URL the recording is still made, but it only lives in the
+// Twilio console.
+export const voicemailTwiml = ({ intro = null, tenantId = null, callerPhone = null, reason = null } = {}) => {
+  const statusUrl = callbackUrl('/voicemail/recording', { tenantId, customerPhone: callerPhone, reason });
+  const doneUrl = callbackUrl('/voicemail/complete');
+  const callbackAttributes = statusUrl
+    ? ` action="${escapeXml(doneUrl)}" recordingStatusCallback="${escapeXml(statusUrl)}"` +
+      ' recordingStatusCallbackEvent="completed"'
+    : '';
+
+  const greetingUrl = getTenant(tenantId)?.voicemailGreetingUrl;
+  return [
+    '<Response>',
+    greetingUrl
+      ? `<Play>${escapeXml(greetingUrl)}</Play>`
+      : `<Say>${intro ? `${escapeXml(intro)} ` : ''}Please leave a message after the tone.</Say>`,
+    `<Record maxLength="${VOICEMAIL_MAX_SECONDS}" playBeep="true"${callbackAttributes} />`,
+    '</Response>',
+  ].join('');
+};
+
+// <Record> action: the caller hung up or finished recording.
+export const voicemailCompleteTwiml = () => '<Response><Say>Thank you. Goodbye.</Say><Hangup/></Response>';
+
+// Moves a live call (ending its media stream) to voicemail. Resolves to { started, reason? }.
+export async function startVoicemail({ callSid, intro = null, tenantId = null, callerPhone = null, reason = null }) {
+  if (!callSid) return { started: false, reason: 'CallSid unknown' };
+  const client = getTwilioClient();
+  if (!client) return { started: false, reason: 'Twilio account credentials missing' };
+
+  try {
+    await client.calls(callSid).update({ twiml: voicemailTwiml({ intro, tenantId, callerPhone, reason }) });
+    console.log('[Voicemail] call redirected to voicemail', { callSid, reason });
+    return { started: true };
+  } catch (err) {
+    console.error('[Voicemail] failed to redirect call', { callSid, err });
+    return { started: false, reason: 'Twilio call update failed' };
+  }
+}
+
+// Recording media needs the account credentials. Resolves to a Buffer, or null when it can't be fetched.
+const fetchRecordingAudio = async (recordingUrl) => {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!recordingUrl || !accountSid || !authToken) return null;
+
+  try {
+    const response = await fetch(`${recordingUrl}.mp3`, {
+      headers: { Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}` },
+      signal: AbortSignal.timeout(RECORDING_FETCH_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      console.warn('[Voicemail] recording download failed', { recordingUrl, status: response.status });
+      return null;
+    }
+    return Buffer.from(await response.arrayBuffer());
+  } catch (err) {
+    console.warn('[Voicemail] recording download failed', { recordingUrl, err });
+    return null;
+  }
+};
+
+const describeReason = (reason) => {
+  switch (reason) {
+    case 'keypad':
+      return 'caller chose voicemail';
+    case 'transfer_unanswered':
+      return 'transfer was not answered';
+    case 'ai_unavailable':
+      return 'assistant was unavailable';
+    default:
+      return null;
+  }
+};
+
+// Twilio's mp3 link when the callback carried one, else wherever the audio was stored.
+const recordingLink = (voicemail) => {
+  if (voicemail.recordingUrl) return `${voicemail.recordingUrl}.mp3`;
+  return voicemail.audio?.stored ? voicemail.audio.location : null;
+};
+
+const replyHint = (n) => `Reply CALL ${n}, TEXT ${n} <message> or DONE ${n}`;
+
+const formatVoicemailNotice = (voicemail) =>
+  [
+    'Voice Assistant Voicemail',
+    voicemail.messageNumber ? `Reference: #${voicemail.messageNumber}` : null,
+    `Caller ID: ${voicemail.callerPhone || 'unknown'}`,
+    `Length: ${voicemail.durationSeconds}s`,
+    describeReason(voicemail.reason) ? `Why voicemail: ${describeReason(voicemail.reason)}` : null,
+    `Recording: ${recordingLink(voicemail) || 'unavailable'}`,
+    voicemail.audio?.stored ? `Saved audio: ${voicemail.audio.location}` : null,
+    `CallSid: ${voicemail.callSid}`,
+    `Left at: ${voicemail.createdAt}`,
+    voicemail.messageNumber ? replyHint(voicemail.messageNumber) : null,
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+// Claims the voicemail record for this callback. A record another callback is still working on (within
+// the lease) or has finished is left alone; a failed or abandoned one is taken over, keeping its message number.
+const claimVoicemail = async (storage, voicemail) => {
+  if (await storage.createVoicemail(voicemail)) return { claimed: true, voicemail };
+
+  const existing = await storage.getVoicemail(voicemail.id);
+  if (existing?.status === 'recorded' || (existing && !existing.status)) {
+    return { claimed: false, reason: 'already recorded' };
+  }
+  const claimedAt = Date.parse(existing?.claimedAt);
+  if (existing?.status === 'processing' && Date.now() - claimedAt < VOICEMAIL_CLAIM_LEASE_MS) {
+    return { claimed: false, reason: 'already processing' };
+  }
+
+  const reclaimed = { ...voicemail, messageNumber: existing?.messageNumber ?? null };
+  await storage.saveVoicemail(reclaimed);
+  console.log('[Voicemail] taking over unfinished voicemail', { recordingSid: voicemail.id, status: existing?.status });
+  return { claimed: true, voicemail: reclaimed };
+};
+
+// Downloads and stores the audio, then notifies the owner. Resolves to { recorded, voicemail }.
+const recordVoicemail = async (storage, voicemail) => {
+  const { recordingSid, callerPhone, durationSeconds, reason } = voicemail;
+  const audioBuffer = await fetchRecordingAudio(voicemail.recordingUrl);
+  const audio = audioBuffer
+    ? await storage.saveVoicemailAudio(recordingSid, audioBuffer).catch((err) => {
+        console.error('[Voicemail] failed to store recording audio', { recordingSid, err });
+        return { stored: false, reason: 'storage failed' };
+      })
+    : { stored: false, reason: 'download failed' };
+
+  // Same numbering as captured messages, so Tom can CALL / TEXT / DONE a voicemail too.
+  const messageNumber =
+    voicemail.messageNumber ??
+    (await storage.nextSequence('messages').catch((err) => {
+      console.warn('[Voicemail] failed to allocate message number', err);
+      return null;
+    }));
+
+  voicemail.audio = { stored: Boolean(audio.stored), location: audio.location || null };
+  voicemail.messageNumber = messageNumber;
+  await storage.saveVoicemail(voicemail);
+
+  const payload = {
+    mode: 'voicemail',
+    callerName: null,
+    contactPhone: callerPhone,
+    contactEmail: null,
+    subject: `Voicemail (${durationSeconds}s)`,
+    messageBody: `Voicemail from ${callerPhone || 'an unknown caller'}: ${
+      recordingLink(voicemail) || 'recording unavailable'
+    }`,
+    callbackRequested: true,
+    priority: 'normal',
+  };
+  const meta = { messageNumber, callSid: voicemail.callSid, callerPhone, createdAt: voicemail.createdAt };
+  if (messageNumber) {
+    await recordMessage({ messageNumber, tenantId: voicemail.tenantId, payload, meta }).catch((err) => {
+      console.warn('[Voicemail] failed to record voicemail for owner replies', { messageNumber, err });
+    });
+  }
+
+  const result = await enqueueMessage({
+    subject: `[normal]${messageNumber ? ` #${messageNumber}` : ''} ${payload.subject}`,
+    text: formatVoicemailNotice(voicemail),
+    priority: 'normal',
+    payload,
+    meta: { ...meta, recordingSid, reason },
+  });
+  voicemail.status = 'recorded';
+  voicemail.delivery = { delivered: result.delivered, channels: result.succeeded, queued: result.queued };
+  await storage.saveVoicemail(voicemail);
+
+  console.log('[Voicemail] voicemail recorded', {
+    recordingSid,
+    callSid: voicemail.callSid,
+    messageNumber,
+    durationSeconds,
+    audioStored: voicemail.audio.stored,
+    delivered: result.delivered,
+  });
+  return { recorded: true, voicemail };
+};
+
+// Recording status callback. Twilio retries callbacks, so the record is claimed with a create-if-absent
+// write before the (slow) audio download and only marked 'recorded' once the owner has been notified.
+// A callback that throws marks it 'failed' so Twilio's retry can finish the job.
+export async function handleVoicemailRecording({ query = {}, body = {} }) {
+  const recordingSid = body.RecordingSid;
+  if (!recordingSid || body.RecordingStatus !== 'completed') {
+    console.log('[Voicemail] recording not completed', { recordingSid, status: body.RecordingStatus });
+    return { recorded: false, reason: `recording ${body.RecordingStatus || 'unknown'}` };
+  }
+
+  const storage = getStorage();
+  const durationSeconds = Number(body.RecordingDuration) || 0;
+  const callerPhone = normalizeCallerPhone(query.customerPhone) || null;
+  const reason = VOICEMAIL_REASONS.includes(query.reason) ? query.reason : null;
+  const claim = await claimVoicemail(storage, {
+    id: recordingSid,
+    recordingSid,
+    status: 'processing',
+    claimedAt: new Date().toISOString(),
+    callSid: body.CallSid || null,
+    tenantId: query.tenantId || null,
+    callerPhone,
+    reason,
+    durationSeconds,
+    recordingUrl: body.RecordingUrl || null,
+    audio: null,
+    messageNumber: null,
+    createdAt: new Date().toISOString(),
+    delivery: null,
+  });
+  if (!claim.claimed) return { recorded: false, reason: claim.reason };
+
+  const { voicemail } = claim;
+  try {
+    return await recordVoicemail(storage, voicemail);
+  } catch (err) {
+    await storage.saveVoicemail({ ...voicemail, status: 'failed' }).catch((saveErr) => {
+      console.error('[Voicemail] failed to release voicemail claim', { recordingSid, err: saveErr });
+    });
+    throw err;
+  }
+}
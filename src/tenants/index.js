@@ -0,0 +1,130 @@
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { digitsOnly, normalizeCallerPhone } from '../utils/phone.js';
+
+// Maps each dialed Twilio number to the tenant that answers it. TENANTS_FILE points at
+// JSON shaped like tenants.example.json:
+// {
+//   "tenants": [
+//     { "id": "tom", "numbers": ["+15551230000"], "persona": "victoria", "voice": "sage" },
+//     { "id": "joes", "numbers": ["+15551239999"], "persona": "ordering", "restaurantId": "<restaurants doc ID>",
+//       "restaurantName": "Joe's Pizza", "voice": "alloy",
+//       "tools": ["quote_order", "place_order", "lookup_order_status", "send_caller_receipt",
+//                 "transfer_call", "end_call"],
+//       "transfer": { "targets": [{ "id": "manager", "name": "the manager", "number": "+15551237777" }],
+//                     "timeoutSeconds": 20, "whisper": true, "fallback": "assistant" } }
+//   ]
+// }
+// Numbers that match no tenant fall back to the default tenant built from DEFAULT_PERSONA,
+// RESTAURANT_ID, RESTAURANT_NAME, REALTIME_VOICE and TRANSFER_NUMBER, which is how single-line
+// deployments run.
+
+const TENANTS_FILE = process.env.TENANTS_FILE || './tenants.json';
+export const DEFAULT_VOICE = process.env.REALTIME_VOICE || 'sage';
+const TRANSFER_FALLBACKS = ['assistant', 'voicemail'];
+const DEFAULT_TRANSFER_TIMEOUT_SECONDS = 20;
+
+// Warm-transfer targets for transfer_call; null when the tenant has none.
+const normalizeTransfer = (value) => {
+  const targets = (Array.isArray(value?.targets) ? value.targets : [])
+    .map((target, index) => ({
+      id: String(target?.id || `target-${index + 1}`),
+      name: target?.name || null,
+      number: normalizeCallerPhone(target?.number),
+    }))
+    .filter((target) => target.number);
+  if (!targets.length) return null;
+
+  const timeoutSeconds = Number(value.timeoutSeconds);
+  return {
+    targets,
+    timeoutSeconds: timeoutSeconds > 0 ? timeoutSeconds : DEFAULT_TRANSFER_TIMEOUT_SECONDS,
+    whisper: value.whisper !== false,
+    fallback: TRANSFER_FALLBACKS.includes(value.fallback) ? value.fallback : 'assistant',
+  };
+};
+
+const normalizeTenant = (value, index) => {
+  const tenant = value && typeof value === 'object' ? value : {};
+  return {
+    ...tenant,
+    id: String(tenant.id || `tenant-${index + 1}`),
+    numbers: (Array.isArray(tenant.numbers) ? tenant.numbers : []).map(normalizeCallerPhone).filter(Boolean),
+    persona: tenant.persona || null,
+    restaurantId: tenant.restaurantId || null,
+    restaurantName: tenant.restaurantName || null,
+    voice: tenant.voice || DEFAULT_VOICE,
+    // null means "whatever the persona advertises".
+    tools: Array.isArray(tenant.tools) ? tenant.tools.map(String) : null,
+    transfer: normalizeTransfer(tenant.transfer),
+    // Recorded voicemail greeting (mp3/wav URL); without one the greeting is spoken.
+    voicemailGreetingUrl: tenant.voicemailGreetingUrl || null,
+  };
+};
+
+const DEFAULT_TENANT = normalizeTenant(
+  {
+    id: 'default',
+    persona: process.env.DEFAULT_PERSONA || null,
+    restaurantId: process.env.RESTAURANT_ID || null,
+    restaurantName: process.env.RESTAURANT_NAME || null,
+    voicemailGreetingUrl: process.env.VOICEMAIL_GREETING_URL || null,
+    transfer: {
+      targets: [{ id: 'default', name: process.env.TRANSFER_NAME || 'Tom', number: process.env.TRANSFER_NUMBER }],
+      timeoutSeconds: process.env.TRANSFER_TIMEOUT_SECONDS,
+      fallback: process.env.TRANSFER_FALLBACK,
+    },
+  },
+  0
+);
+
+const loadTenants = () => {
+  const filePath = path.resolve(TENANTS_FILE);
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err?.code === 'ENOENT' && !process.env.TENANTS_FILE) return [];
+    console.error('[Tenants] failed to read tenant registry; using the default tenant only', { filePath, err });
+    return [];
+  }
+
+  const tenants = (Array.isArray(raw?.tenants) ? raw.tenants : []).map(normalizeTenant);
+  const seen = new Map();
+  for (const tenant of tenants) {
+    for (const number of tenant.numbers) {
+      const key = digitsOnly(number).slice(-10);
+      if (seen.has(key)) {
+        console.warn('[Tenants] number assigned to more than one tenant; first one wins', {
+          number,
+          tenants: [seen.get(key), tenant.id],
+        });
+      } else {
+        seen.set(key, tenant.id);
+      }
+    }
+  }
+  console.log('[Tenants] loaded tenant registry', { filePath, tenants: tenants.map((tenant) => tenant.id) });
+  return tenants;
+};
+
+const tenants = loadTenants();
+
+// Compares the last 10 digits so "+1 (555) 123-0000" and "5551230000" are the same line.
+export function resolveTenantForNumber(dialedNumber) {
+  const digits = digitsOnly(dialedNumber).slice(-10);
+  if (digits) {
+    const tenant = tenants.find((candidate) =>
+      candidate.numbers.some((number) => digitsOnly(number).slice(-10) === digits)
+    );
+    if (tenant) return tenant;
+  }
+  return DEFAULT_TENANT;
+}
+
+export function getTenant(tenantId) {
+  if (!tenantId || tenantId === DEFAULT_TENANT.id) return DEFAULT_TENANT;
+  return tenants.find((tenant) => tenant.id === tenantId) || null;
+}
+
+export const listTenants = () => [DEFAULT_TENANT, ...tenants];
@@ -0,0 +1,203 @@
+import { recordMessage } from '../delivery/messages.js';
+import { enqueueMessage } from '../delivery/outbox.js';
+import { getStorage } from '../storage/index.js';
+import { normalizeCallerPhone } from '../utils/phone.js';
+
+const CAPTURE_MESSAGE_PARAMETERS = {
+  type: 'object',
+  properties: {
+    mode: {
+      type: 'string',
+      enum: ['caller_message', 'self_note'],
+      description: 'Message type. Use self_note when Tom is calling himself.',
+    },
+    callerName: {
+      type: 'string',
+      nullable: true,
+      description: 'Caller name. Nullable for self_note mode.',
+    },
+    contactPhone: {
+      type: 'string',
+      nullable: true,
+      description: 'Best callback phone number, if available.',
+    },
+    contactEmail: {
+      type: 'string',
+      nullable: true,
+      description: 'Best callback email, if available.',
+    },
+    subject: {
+      type: 'string',
+      description: 'Short subject line for the message.',
+    },
+    messageBody: {
+      type: 'string',
+      description: 'Main message content in the caller\'s own intent.',
+    },
+    callbackRequested: {
+      type: 'boolean',
+      description: 'Whether the caller asked Tom to call back.',
+    },
+    priority: {
+      type: 'string',
+      enum: ['low', 'normal', 'high'],
+      description: 'Estimated urgency.',
+    },
+  },
+  required: ['mode', 'subject', 'messageBody', 'callbackRequested', 'priority'],
+  additionalProperties: false,
+};
+
+const normalizeEmail = (value) => {
+  if (value == null) return null;
+  const trimmed = String(value).trim();
+  if (!trimmed) return null;
+  if (!trimmed.includes('@')) return null;
+  return trimmed;
+};
+
+const normalizeMode = (value, fallback) => {
+  if (value === 'caller_message' || value === 'self_note') {
+    return value;
+  }
+  return fallback;
+};
+
+const normalizePriority = (value) => {
+  if (value === 'low' || value === 'normal' || value === 'high') {
+    return value;
+  }
+  return 'normal';
+};
+
+const normalizeBoolean = (value, fallback = false) => {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string') {
+    const lower = value.toLowerCase();
+    if (lower === 'true' || lower === 'yes') return true;
+    if (lower === 'false' || lower === 'no') return false;
+  }
+  return fallback;
+};
+
+const sanitizeText = (value, maxLength = 500) => {
+  if (value == null) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+  return text.slice(0, maxLength);
+};
+
+const formatOutboundMessage = (payload, meta = {}) => {
+  const lines = [
+    'Voice Assistant Message',
+    `Mode: ${payload.mode}`,
+    `Priority: ${payload.priority}`,
+    `Callback requested: ${payload.callbackRequested ? 'yes' : 'no'}`,
+    `Subject: ${payload.subject}`,
+    meta.messageNumber ? `Reference: #${meta.messageNumber}` : null,
+    `Message: ${payload.messageBody}`,
+  ];
+
+  if (payload.callerName) lines.push(`Caller name: ${payload.callerName}`);
+  if (payload.contactPhone) lines.push(`Contact phone: ${payload.contactPhone}`);
+  if (payload.contactEmail) lines.push(`Contact email: ${payload.contactEmail}`);
+  if (meta.callerPhone) lines.push(`Caller ID: ${meta.callerPhone}`);
+  if (meta.callSid) lines.push(`CallSid: ${meta.callSid}`);
+  if (meta.isSelfCaller != null) lines.push(`Self caller detected: ${meta.isSelfCaller ? 'yes' : 'no'}`);
+  if (meta.createdAt) lines.push(`Captured at: ${meta.createdAt}`);
+  if (meta.messageNumber) {
+    lines.push(`Reply CALL ${meta.messageNumber}, TEXT ${meta.messageNumber} <message> or DONE ${meta.messageNumber}`);
+  }
+
+  return lines.filter(Boolean).join('\n');
+};
+
+const handleCaptureMessage = async (args, context) => {
+  const { callSid, tenantId, callerPhone, isSelfCaller, callRecorder } = context;
+  const fallbackMode = isSelfCaller ? 'self_note' : 'caller_message';
+  const mode = normalizeMode(args?.mode, fallbackMode);
+  const callerName = sanitizeText(args?.callerName, 80);
+  const contactPhone = normalizeCallerPhone(args?.contactPhone) || normalizeCallerPhone(callerPhone) || null;
+  const contactEmail = normalizeEmail(args?.contactEmail);
+  const subject = sanitizeText(args?.subject, 160) || (mode === 'self_note' ? 'Self note' : 'Voice message');
+  const messageBody = sanitizeText(args?.messageBody, 2000);
+  const callbackRequested = normalizeBoolean(args?.callbackRequested, false);
+  const priority = normalizePriority(args?.priority);
+
+  if (!messageBody) {
+    return {
+      output: { delivered: false, channels: [], reason: 'messageBody missing' },
+      instructions: 'Please restate the message in one or two clear sentences.',
+    };
+  }
+
+  const payload = {
+    mode,
+    callerName,
+    contactPhone,
+    contactEmail,
+    subject,
+    messageBody,
+    callbackRequested,
+    priority,
+  };
+
+  // Short number the caller and Tom can both quote; a counter failure must not lose the message.
+  const messageNumber = await getStorage()
+    .nextSequence('messages')
+    .catch((err) => {
+      console.warn('[Tools] failed to allocate message number', err);
+      return null;
+    });
+
+  const meta = {
+    messageNumber,
+    callSid,
+    callerPhone: normalizeCallerPhone(callerPhone),
+    isSelfCaller,
+    createdAt: new Date().toISOString(),
+  };
+
+  // Recorded before delivery so an immediate owner reply ("DONE 12") can find it.
+  if (messageNumber) {
+    await recordMessage({ messageNumber, tenantId, payload, meta }).catch((err) => {
+      console.warn('[Tools] failed to record message for owner replies', { messageNumber, err });
+    });
+  }
+
+  const result = await enqueueMessage({
+    subject: `[${priority}]${messageNumber ? ` #${messageNumber}` : ''} ${subject}`,
+    text: formatOutboundMessage(payload, meta),
+    priority,
+    payload,
+    meta,
+  });
+  callRecorder?.addMessage(payload, result, { messageNumber });
+
+  const failed = result.attempts
+    .filter((attempt) => !attempt.delivered)
+    .map((attempt) => ({ channel: attempt.channel, reason: attempt.reason || null }));
+
+  return {
+    output: {
+      messageNumber,
+      delivered: result.delivered,
+      channels: result.succeeded,
+      failed,
+      queuedForRetry: result.queued,
+      reason: result.delivered ? null : failed.map((entry) => entry.reason).filter(Boolean).join('; ') || null,
+    },
+    instructions: result.delivered
+      ? 'Thanks. I captured your message and passed it along to Tom.'
+      : result.queued
+        ? 'Thanks. I captured your message. Delivery may be delayed right now, but it will be retried automatically.'
+        : 'Thanks. I captured your message, but I could not deliver it right now.',
+  };
+};
+
+export const captureMessageTool = {
+  name: 'capture_message',
+  description: 'Capture a caller message or self-note and dispatch it to Tom through the configured delivery channels.',
+  parameters: CAPTURE_MESSAGE_PARAMETERS,
+  handler: handleCaptureMessage,
+};
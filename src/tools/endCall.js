@@ -0,0 +1,38 @@
+export const END_CALL_REASONS = ['completed', 'caller_asked', 'wrong_number', 'unwanted_call'];
+
+const END_CALL_PARAMETERS = {
+  type: 'object',
+  properties: {
+    reason: {
+      type: 'string',
+      enum: END_CALL_REASONS,
+      description: 'Why the call is ending: completed (nothing left to do), caller_asked, wrong_number, unwanted_call.',
+    },
+  },
+  required: ['reason'],
+  additionalProperties: false,
+};
+
+// The tool only records the request; the bridge hangs up through the Twilio REST API once the assistant's
+// goodbye has finished playing to the caller.
+const handleEndCall = async (args, context) => {
+  const { callState } = context;
+  if (callState.hangUp) {
+    return { output: { ok: true, ending: true, reason: callState.hangUp.reason } };
+  }
+
+  const reason = END_CALL_REASONS.includes(args.reason) ? args.reason : 'completed';
+  callState.hangUp = { reason, requestedAt: new Date().toISOString() };
+  return {
+    output: { ok: true, ending: true, reason },
+    instructions: 'If you have not said goodbye yet, say a short goodbye now and nothing else; the call ends after it.',
+  };
+};
+
+export const endCallTool = {
+  name: 'end_call',
+  description:
+    'Hang up once the caller has nothing else they need. The call ends as soon as your goodbye finishes playing.',
+  parameters: END_CALL_PARAMETERS,
+  handler: handleEndCall,
+};
@@ -0,0 +1,18 @@
+import { captureMessageTool } from './captureMessage.js';
+import { endCallTool } from './endCall.js';
+import { lookupOrderStatusTool } from './lookupOrderStatus.js';
+import { placeOrderTool } from './placeOrder.js';
+import { quoteOrderTool } from './quoteOrder.js';
+import { createToolRegistry } from './registry.js';
+import { sendCallerReceiptTool } from './sendCallerReceipt.js';
+import { transferCallTool } from './transferCall.js';
+
+export const toolRegistry = createToolRegistry([
+  captureMessageTool,
+  quoteOrderTool,
+  placeOrderTool,
+  lookupOrderStatusTool,
+  sendCallerReceiptTool,
+  transferCallTool,
+  endCallTool,
+]);
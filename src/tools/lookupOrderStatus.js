@@ -0,0 +1,157 @@
+import { formatTime, zonedNow } from '../menu/availability.js';
+import { getMenu } from '../menu/menuStore.js';
+import { areSamePhone, digitsOnly } from '../utils/phone.js';
+import { formatCents } from './quoteOrder.js';
+
+const DEFAULT_PICKUP_ETA_MINUTES = 20;
+const DEFAULT_DELIVERY_ETA_MINUTES = 45;
+const LOOKBACK_HOURS = 24;
+
+const LOOKUP_ORDER_STATUS_PARAMETERS = {
+  type: 'object',
+  properties: {
+    orderNumber: {
+      type: 'integer',
+      nullable: true,
+      minimum: 1,
+      description: 'Order number the caller read out, if any. Leave null to look up by caller ID.',
+    },
+    customerName: {
+      type: 'string',
+      nullable: true,
+      description: 'Full name the order was placed under, if the caller gave one.',
+    },
+    phoneLast4: {
+      type: 'string',
+      nullable: true,
+      description: 'Last four digits of the phone number the order was placed from, if the caller gave them.',
+    },
+  },
+  required: [],
+  additionalProperties: false,
+};
+
+const STATUS_TEXT = {
+  received: 'received and waiting for the kitchen to confirm',
+  accepted: 'being prepared',
+  ready: { pickup: 'ready for pickup', delivery: 'ready and going out for delivery' },
+  completed: { pickup: 'picked up', delivery: 'delivered' },
+  cancelled: 'cancelled',
+};
+
+const describeStatus = (order) => {
+  const text = STATUS_TEXT[order.status] || order.status;
+  return typeof text === 'string' ? text : text[order.fulfillmentType] || text.pickup;
+};
+
+const localTime = (date, timezone) => formatTime(zonedNow(timezone, new Date(date)).minutes);
+
+// Staff can set `estimatedReadyAt` on the order; otherwise estimate from the restaurant's
+// pickupEtaMinutes / deliveryEtaMinutes.
+const estimateEta = (order, restaurant) => {
+  if (!['received', 'accepted'].includes(order.status)) return null;
+  const minutes =
+    order.fulfillmentType === 'delivery'
+      ? restaurant?.deliveryEtaMinutes ?? DEFAULT_DELIVERY_ETA_MINUTES
+      : restaurant?.pickupEtaMinutes ?? DEFAULT_PICKUP_ETA_MINUTES;
+  const etaMs = order.estimatedReadyAt
+    ? Date.parse(order.estimatedReadyAt)
+    : Date.parse(order.createdAt) + minutes * 60 * 1000;
+  if (!Number.isFinite(etaMs)) return null;
+
+  const minutesFromNow = Math.round((etaMs - Date.now()) / 60000);
+  if (minutesFromNow <= 0) {
+    return order.fulfillmentType === 'delivery' ? 'should arrive any minute' : 'should be ready any minute';
+  }
+  const at = localTime(etaMs, restaurant?.timezone);
+  return `around ${at}, about ${minutesFromNow} minute${minutesFromNow === 1 ? '' : 's'} from now`;
+};
+
+const summarizeOrder = (order, restaurant) => ({
+  orderNumber: order.orderNumber,
+  status: order.status,
+  statusText: describeStatus(order),
+  fulfillmentType: order.fulfillmentType || null,
+  placedAt: order.createdAt ? localTime(order.createdAt, restaurant?.timezone) : null,
+  eta: estimateEta(order, restaurant) || undefined,
+  items: (order.items || []).map((item) => `${item.quantity} ${item.name}`).join(', '),
+  total: formatCents(order.totalCents),
+});
+
+const nameTokens = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .split(/[^a-z0-9']+/)
+    .filter(Boolean);
+
+// Order numbers are sequential, so a caller whose phone didn't place the order must give the full
+// name on it, or its last name plus the last four digits of the phone it was placed from.
+const verifiesOrder = (order, { customerName, phoneLast4 }) => {
+  const spokenTokens = nameTokens(customerName);
+  const orderTokens = nameTokens(order.customerName);
+  if (!spokenTokens.length || !orderTokens.length) return false;
+  if (orderTokens.every((token) => spokenTokens.includes(token))) return true;
+
+  const orderPhoneDigits = digitsOnly(order.customerPhone);
+  const spokenDigits = digitsOnly(phoneLast4);
+  return (
+    spokenTokens.includes(orderTokens.at(-1)) &&
+    spokenDigits.length === 4 &&
+    orderPhoneDigits.length >= 4 &&
+    orderPhoneDigits.endsWith(spokenDigits)
+  );
+};
+
+const NOT_FOUND = {
+  output: { ok: true, orders: [] },
+  instructions:
+    'No matching order was found for this caller. Ask for the order number and the full name on the order (or the ' +
+    'last name and the last four digits of the phone number it was placed from), or offer to take a message.',
+};
+
+const handleLookupOrderStatus = async (args, context) => {
+  const { restaurantId, callerPhone } = context;
+  if (!restaurantId) {
+    return {
+      output: { ok: false, error: 'no_restaurant', reason: 'No restaurant is configured for this call' },
+    };
+  }
+
+  const [{ findOrderByNumber, findOrdersByPhone }, menu] = await Promise.all([
+    import('../orders/orderStore.js'),
+    getMenu(restaurantId),
+  ]);
+  const restaurant = menu?.restaurant || null;
+
+  let orders;
+  if (args.orderNumber != null) {
+    // Only the phone that placed the order, or someone who can identify it, may hear its status;
+    // anything else looks exactly like "not found" so order numbers can't be probed.
+    const order = await findOrderByNumber(restaurantId, args.orderNumber);
+    const verified = order && (areSamePhone(order.customerPhone, callerPhone) || verifiesOrder(order, args));
+    orders = verified ? [order] : [];
+  } else if (callerPhone) {
+    orders = await findOrdersByPhone(restaurantId, callerPhone, { sinceHours: LOOKBACK_HOURS });
+  } else {
+    return {
+      output: { ok: false, error: 'no_caller_id', reason: 'Caller ID is unavailable' },
+      instructions: 'Ask the caller for the order number and the full name on the order, then look it up again.',
+    };
+  }
+
+  if (!orders.length) return NOT_FOUND;
+
+  return {
+    output: { ok: true, orders: orders.map((order) => summarizeOrder(order, restaurant)) },
+    instructions:
+      'Tell the caller the status of their most recent order and the eta if there is one. Mention other orders only if asked.',
+  };
+};
+
+export const lookupOrderStatusTool = {
+  name: 'lookup_order_status',
+  description:
+    "Look up the status and ETA of the caller's recent orders by caller ID, or a specific order by its number.",
+  parameters: LOOKUP_ORDER_STATUS_PARAMETERS,
+  handler: handleLookupOrderStatus,
+};
@@ -0,0 +1,185 @@
+import { createHash } from 'node:crypto';
+import { resolveOrderPricing } from '../menu/resolveOrderPricing.js';
+import { ORDER_ITEMS_SCHEMA, TIP_PARAMETERS, formatCents, summarizeQuote } from './quoteOrder.js';
+
+const PLACE_ORDER_PARAMETERS = {
+  type: 'object',
+  properties: {
+    items: ORDER_ITEMS_SCHEMA,
+    fulfillmentType: {
+      type: 'string',
+      enum: ['pickup', 'delivery'],
+      description: 'Whether the caller will pick up or wants delivery.',
+    },
+    deliveryAddress: { type: 'string', nullable: true, description: 'Street address for delivery.' },
+    deliveryApt: { type: 'string', nullable: true, description: 'Apartment or unit for delivery.' },
+    deliveryNotes: { type: 'string', nullable: true, description: 'Delivery instructions.' },
+    customerName: { type: 'string', nullable: true, description: 'Name for the order.' },
+    ...TIP_PARAMETERS,
+    quotedTotalCents: {
+      type: 'integer',
+      nullable: true,
+      description: 'totalCents from the quote_order result the caller confirmed.',
+    },
+  },
+  required: ['items', 'fulfillmentType'],
+  additionalProperties: false,
+};
+
+// Same items + fulfillment within one call means the model is retrying, not ordering twice.
+const orderFingerprint = (args) =>
+  createHash('sha256')
+    .update(
+      JSON.stringify({
+        items: args.items.map((item) => [
+          item.name.trim().toLowerCase(),
+          item.quantity,
+          item.modifiers || [],
+          item.notes || null,
+        ]),
+        fulfillmentType: args.fulfillmentType,
+        deliveryAddress: args.deliveryAddress || null,
+        tip: [args.tipCents ?? null, args.tipPercent ?? null],
+      })
+    )
+    .digest('hex');
+
+const handlePlaceOrder = async (args, context) => {
+  const { restaurantId, callState, callRecorder } = context;
+  if (!restaurantId) {
+    return {
+      output: { ok: false, error: 'no_restaurant', reason: 'No restaurant is configured for this call' },
+    };
+  }
+
+  if (args.fulfillmentType === 'delivery' && !args.deliveryAddress?.trim()) {
+    return {
+      output: { ok: false, error: 'missing_address', reason: 'Delivery orders need a delivery address' },
+      instructions: 'Ask the caller for the delivery address before placing the order.',
+    };
+  }
+
+  const fingerprint = orderFingerprint(args);
+  const placedOrders = (callState.placedOrders = callState.placedOrders || {});
+  if (placedOrders[fingerprint]) {
+    return { output: { ok: true, duplicate: true, ...placedOrders[fingerprint] } };
+  }
+
+  // Never trust prices from the model: re-price the order against the menu right now.
+  const pricing = await resolveOrderPricing({
+    restaurantId,
+    items: args.items,
+    fulfillmentType: args.fulfillmentType,
+    deliveryAddress: args.deliveryAddress,
+    deliveryApt: args.deliveryApt,
+    deliveryNotes: args.deliveryNotes,
+    tipCents: args.tipCents,
+    tipPercent: args.tipPercent,
+  });
+
+  if (!pricing.storeStatus.canOrder) {
+    return {
+      output: { ok: false, error: pricing.storeStatus.reason, ...summarizeQuote(pricing) },
+      instructions: 'The restaurant cannot take this order right now. Tell the caller the storeClosed message.',
+    };
+  }
+
+  if (pricing.deliveryZone && !pricing.deliveryZone.deliverable) {
+    return {
+      output: { ok: false, error: pricing.deliveryZone.reason, ...summarizeQuote(pricing) },
+      instructions: 'The address cannot be delivered to. Tell the caller the deliveryUnavailable message.',
+    };
+  }
+
+  const unpriced = pricing.resolvedItems.filter((item) => !item.menuItemId || item.priceCents == null);
+  if (pricing.unmatched.length || unpriced.length) {
+    return {
+      output: { ok: false, error: 'unresolved_items', ...summarizeQuote(pricing) },
+      instructions: 'Some items could not be matched to the menu. Clarify them with the caller before placing the order.',
+    };
+  }
+
+  if (pricing.missingChoices.length) {
+    return {
+      output: { ok: false, error: 'missing_choices', ...summarizeQuote(pricing) },
+      instructions: 'Ask the caller for each required choice listed in needsChoice before placing the order.',
+    };
+  }
+
+  if (pricing.charges.belowDeliveryMinimum) {
+    return {
+      output: { ok: false, error: 'below_delivery_minimum', ...summarizeQuote(pricing) },
+      instructions: 'The order is below the delivery minimum. Offer to add items or switch to pickup.',
+    };
+  }
+
+  if (args.quotedTotalCents != null && args.quotedTotalCents !== pricing.totalCents) {
+    callState.lastQuote = pricing;
+    return {
+      output: { ok: false, error: 'price_changed', ...summarizeQuote(pricing) },
+      instructions: 'The total changed since the quote. Read the new total to the caller and ask them to confirm again.',
+    };
+  }
+
+  const { createOrder } = await import('../orders/orderStore.js');
+  const order = await createOrder(pricing.restaurantId, {
+    source: 'phone',
+    callSid: context.callSid || null,
+    customerPhone: context.callerPhone || null,
+    customerName: args.customerName?.trim() || null,
+    fulfillmentType: pricing.fulfillmentType,
+    deliveryAddress: pricing.deliveryAddress,
+    deliveryApt: pricing.deliveryApt,
+    deliveryNotes: pricing.deliveryNotes,
+    items: pricing.resolvedItems.map((item) => ({
+      menuItemId: item.menuItemId,
+      name: item.name,
+      quantity: item.quantity,
+      notes: item.notes,
+      basePriceCents: item.basePriceCents,
+      modifiers: item.selectedModifiers,
+      priceCents: item.priceCents,
+      lineTotalCents: item.lineTotalCents,
+    })),
+    subtotalCents: pricing.subtotalCents,
+    taxCents: pricing.taxCents,
+    deliveryFeeCents: pricing.deliveryFeeCents,
+    serviceFeeCents: pricing.serviceFeeCents,
+    tipCents: pricing.tipCents,
+    totalCents: pricing.totalCents,
+  });
+
+  const result = {
+    orderNumber: order.orderNumber,
+    status: order.status,
+    total: formatCents(pricing.totalCents),
+  };
+  placedOrders[fingerprint] = result;
+  callRecorder?.addOrder({
+    restaurantId: pricing.restaurantId,
+    orderId: order.orderId,
+    fulfillmentType: pricing.fulfillmentType,
+    items: pricing.resolvedItems.map((item) => `${item.quantity} ${item.name}`),
+    ...result,
+  });
+
+  console.log('[Orders] order placed', {
+    restaurantId: pricing.restaurantId,
+    orderId: order.orderId,
+    orderNumber: order.orderNumber,
+    totalCents: pricing.totalCents,
+  });
+
+  return {
+    output: { ok: true, ...result },
+    instructions: 'Tell the caller the order is placed, read back the order number digit by digit, and the total.',
+  };
+};
+
+export const placeOrderTool = {
+  name: 'place_order',
+  description:
+    'Place the confirmed order. Only call after the caller confirmed the quote. Prices are recalculated server-side; returns an order number.',
+  parameters: PLACE_ORDER_PARAMETERS,
+  handler: handlePlaceOrder,
+};
@@ -0,0 +1,162 @@
+import { resolveOrderPricing } from '../menu/resolveOrderPricing.js';
+
+export const ORDER_ITEMS_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: 'Item name as the caller said it.' },
+      quantity: { type: 'integer', minimum: 1, description: 'How many of this item.' },
+      modifiers: {
+        type: 'array',
+        nullable: true,
+        items: { type: 'string' },
+        description: 'Sizes, choices and add-ons as the caller said them, e.g. ["large", "extra cheese"].',
+      },
+      notes: { type: 'string', nullable: true, description: 'Other special requests, e.g. "no onions".' },
+    },
+    required: ['name', 'quantity'],
+    additionalProperties: false,
+  },
+};
+
+export const TIP_PARAMETERS = {
+  tipPercent: { type: 'number', nullable: true, minimum: 0, maximum: 100, description: 'Tip as a percent of the subtotal.' },
+  tipCents: { type: 'integer', nullable: true, minimum: 0, description: 'Tip as a fixed amount in cents.' },
+};
+
+const QUOTE_ORDER_PARAMETERS = {
+  type: 'object',
+  properties: {
+    items: ORDER_ITEMS_SCHEMA,
+    fulfillmentType: {
+      type: 'string',
+      enum: ['pickup', 'delivery'],
+      description: 'Whether the caller will pick up or wants delivery.',
+    },
+    deliveryAddress: { type: 'string', nullable: true, description: 'Street address for delivery.' },
+    deliveryApt: { type: 'string', nullable: true, description: 'Apartment or unit for delivery.' },
+    deliveryNotes: { type: 'string', nullable: true, description: 'Delivery instructions.' },
+    ...TIP_PARAMETERS,
+  },
+  required: ['items', 'fulfillmentType'],
+  additionalProperties: false,
+};
+
+export const formatCents = (cents) => (cents == null ? null : `$${(cents / 100).toFixed(2)}`);
+
+// Trim the pricing result down to what the model needs to read back to the caller.
+export const summarizeQuote = (pricing) => ({
+  storeClosed:
+    pricing.storeStatus && !pricing.storeStatus.canOrder
+      ? {
+          reason: pricing.storeStatus.reason,
+          message: pricing.storeStatus.message,
+          opensAt: pricing.storeStatus.opensAt,
+        }
+      : undefined,
+  deliveryUnavailable:
+    pricing.deliveryZone && !pricing.deliveryZone.deliverable
+      ? { reason: pricing.deliveryZone.reason, message: pricing.deliveryZone.message }
+      : undefined,
+  items: pricing.resolvedItems
+    .filter((item) => item.menuItemId)
+    .map((item) => ({
+      name: item.name,
+      quantity: item.quantity,
+      options: item.selectedModifiers.map((option) =>
+        option.priceDeltaCents ? `${option.name} (+${formatCents(option.priceDeltaCents)})` : option.name
+      ),
+      notes: item.notes,
+      price: formatCents(item.priceCents),
+      lineTotal: formatCents(item.lineTotalCents),
+      optionProblems: item.modifierIssues.length ? item.modifierIssues : undefined,
+    })),
+  needsChoice: (pricing.missingChoices || []).map((choice) => ({
+    itemName: choice.itemName,
+    choose: choice.groupName,
+    minSelections: choice.minSelections,
+    maxSelections: choice.maxSelections,
+    options: choice.options.map((option) =>
+      option.priceDeltaCents ? `${option.name} (+${formatCents(option.priceDeltaCents)})` : option.name
+    ),
+  })),
+  unmatched: pricing.unmatched.map((entry) => ({
+    requestedName: entry.originalName,
+    ambiguous: entry.reason === 'ambiguous',
+    notAvailableNow: entry.message || undefined,
+    didYouMean: entry.suggestions.map((suggestion) => ({
+      name: suggestion.name,
+      price: formatCents(suggestion.priceCents),
+    })),
+  })),
+  fulfillmentType: pricing.fulfillmentType,
+  subtotal: formatCents(pricing.subtotalCents),
+  tax: formatCents(pricing.taxCents),
+  deliveryFee: pricing.deliveryFeeCents ? formatCents(pricing.deliveryFeeCents) : undefined,
+  serviceFee: pricing.serviceFeeCents ? formatCents(pricing.serviceFeeCents) : undefined,
+  tip: pricing.tipCents ? formatCents(pricing.tipCents) : undefined,
+  total: formatCents(pricing.totalCents),
+  belowDeliveryMinimum: pricing.charges?.belowDeliveryMinimum
+    ? {
+        minimum: formatCents(pricing.charges.deliveryMinimumCents),
+        shortBy: formatCents(pricing.charges.deliveryMinimumShortfallCents),
+      }
+    : undefined,
+  totalCents: pricing.totalCents,
+});
+
+const quoteInstructions = (quote) => {
+  if (quote.storeClosed) {
+    return 'Tell the caller the storeClosed message; do not take the order now.';
+  }
+  if (quote.deliveryUnavailable) {
+    return 'Tell the caller the deliveryUnavailable message. Ask for a corrected address or offer pickup.';
+  }
+  if (quote.unmatched.length) {
+    return 'Read back the items you matched. For each unmatched item, read its notAvailableNow message if present, otherwise ask the caller to clarify using its didYouMean options.';
+  }
+  if (quote.needsChoice.length) {
+    return 'Ask the caller for each required choice listed in needsChoice, then quote the order again.';
+  }
+  if (quote.belowDeliveryMinimum) {
+    return 'Tell the caller the order is below the delivery minimum and by how much; offer to add items or switch to pickup.';
+  }
+  return 'Read back the items, any fees and tax, and the total, then ask the caller to confirm or change the order.';
+};
+
+const handleQuoteOrder = async (args, context) => {
+  if (!context.restaurantId) {
+    return {
+      output: { ok: false, error: 'no_restaurant', reason: 'No restaurant is configured for this call' },
+    };
+  }
+
+  const pricing = await resolveOrderPricing({
+    restaurantId: context.restaurantId,
+    items: args.items,
+    fulfillmentType: args.fulfillmentType,
+    deliveryAddress: args.deliveryAddress,
+    deliveryApt: args.deliveryApt,
+    deliveryNotes: args.deliveryNotes,
+    tipCents: args.tipCents,
+    tipPercent: args.tipPercent,
+  });
+
+  context.callState.lastQuote = pricing;
+  const quote = summarizeQuote(pricing);
+
+  return {
+    output: { ok: true, ...quote },
+    instructions: quoteInstructions(quote),
+  };
+};
+
+export const quoteOrderTool = {
+  name: 'quote_order',
+  description:
+    'Price the caller\'s order against the restaurant menu. Returns matched items with prices, totals, and unmatched items with "did you mean" suggestions.',
+  parameters: QUOTE_ORDER_PARAMETERS,
+  handler: handleQuoteOrder,
+};
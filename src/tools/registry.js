@@ -0,0 +1,72 @@
+import { validateArgs } from './validateArgs.js';
+
+// A tool is { name, description, parameters, handler }, where `parameters` is the
+// JSON schema advertised to the model and `handler(args, context)` resolves to
+// { output, instructions? }. `output` is sent back as the function_call_output and
+// `instructions` (optional) steer the follow-up response.
+export function createToolRegistry(tools = []) {
+  const toolsByName = new Map();
+
+  const register = (tool) => {
+    if (!tool?.name || typeof tool.handler !== 'function') {
+      throw new Error('Tool must have a name and a handler');
+    }
+    if (toolsByName.has(tool.name)) {
+      throw new Error(`Tool already registered: ${tool.name}`);
+    }
+    toolsByName.set(tool.name, tool);
+  };
+
+  tools.forEach(register);
+
+  const definitionsFor = (names) =>
+    names
+      .map((name) => toolsByName.get(name))
+      .filter(Boolean)
+      .map(({ name, description, parameters }) => ({
+        type: 'function',
+        name,
+        description,
+        parameters,
+      }));
+
+  const dispatch = async ({ name, rawArguments, allowedNames, context }) => {
+    const tool = toolsByName.get(name);
+    if (!tool || (allowedNames && !allowedNames.includes(name))) {
+      return {
+        output: { ok: false, error: 'unknown_tool', reason: `Tool ${name || 'unknown'} is not available on this call` },
+      };
+    }
+
+    let args;
+    try {
+      args = rawArguments ? JSON.parse(rawArguments) : {};
+    } catch {
+      return {
+        output: { ok: false, error: 'invalid_json', reason: 'Arguments were not valid JSON' },
+        instructions: 'Sorry, I missed that. Please repeat it in one short summary.',
+      };
+    }
+
+    const { valid, errors } = validateArgs(args, tool.parameters);
+    if (!valid) {
+      return {
+        output: { ok: false, error: 'invalid_arguments', details: errors },
+      };
+    }
+
+    try {
+      return await tool.handler(args, context);
+    } catch (err) {
+      console.error(`[Tools] ${name} handler failed`, err);
+      return { output: { ok: false, error: 'tool_failed', reason: 'The tool failed unexpectedly' } };
+    }
+  };
+
+  return {
+    register,
+    has: (name) => toolsByName.has(name),
+    definitionsFor,
+    dispatch,
+  };
+}
@@ -0,0 +1,126 @@
+import { sendSmsTo } from '../delivery/channels/sms.js';
+import { isOptedOut, setOptOut } from '../delivery/smsOptOuts.js';
+import { normalizeCallerPhone } from '../utils/phone.js';
+
+const SEND_CALLER_RECEIPT_PARAMETERS = {
+  type: 'object',
+  properties: {
+    about: {
+      type: 'string',
+      enum: ['message', 'order'],
+      description: 'What to confirm: the message captured on this call, or the order placed on this call.',
+    },
+  },
+  required: ['about'],
+  additionalProperties: false,
+};
+
+const MAX_ITEMS_LINE_LENGTH = 160;
+const OPT_OUT_FOOTER = 'Reply STOP to opt out.';
+
+const oneLine = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+const truncate = (text, maxLength) => (text.length > maxLength ? `${text.slice(0, maxLength - 3).trimEnd()}...` : text);
+
+// Receipts are built from what the tools recorded on this call, never from free text the model
+// passes in, so a caller can't get the assistant to text arbitrary content.
+const messageReceipt = ({ sender, message }) =>
+  [
+    `${sender}: We got your message and passed it along.`,
+    `Subject: ${truncate(oneLine(message.payload.subject), 80)}`,
+    message.messageNumber ? `Reference: #${message.messageNumber}` : null,
+    OPT_OUT_FOOTER,
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+const orderReceipt = ({ sender, order }) =>
+  [
+    `${sender}: Order #${order.orderNumber} confirmed${order.fulfillmentType ? ` for ${order.fulfillmentType}` : ''}.`,
+    order.items?.length ? truncate(order.items.join(', '), MAX_ITEMS_LINE_LENGTH) : null,
+    `Total: ${order.total}`,
+    OPT_OUT_FOOTER,
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+const OPTED_OUT_INSTRUCTIONS =
+  'This number has opted out of texts. Tell the caller you cannot text them, and that they can text START to this number to opt back in.';
+
+const sendReceipt = async ({ phone, about, record, restaurantName }) => {
+  if (await isOptedOut(phone)) return { optedOut: true };
+
+  const sender = restaurantName || "Tom's voice assistant";
+  const body = about === 'order' ? orderReceipt({ sender, order: record }) : messageReceipt({ sender, message: record });
+  return sendSmsTo(phone, body);
+};
+
+const handleSendCallerReceipt = async (args, context) => {
+  const { callerPhone, restaurantName, callRecorder, callState } = context;
+  const phone = normalizeCallerPhone(callerPhone);
+  if (!phone) {
+    return {
+      output: { ok: false, error: 'no_caller_id', reason: 'Caller ID is not available, so there is no number to text' },
+      instructions: 'Tell the caller you cannot send a text on this call.',
+    };
+  }
+
+  const record = args.about === 'order' ? callRecorder?.lastOrder : callRecorder?.lastMessage;
+  if (!record) {
+    return {
+      output: { ok: false, error: 'nothing_to_confirm', reason: `No ${args.about} was captured on this call yet` },
+    };
+  }
+
+  const reference = args.about === 'order' ? `order:${record.orderNumber}` : `message:${record.outboxId}`;
+  const receiptsSent = (callState.receiptsSent = callState.receiptsSent || {});
+  if (receiptsSent[reference] === 'sending') {
+    return {
+      output: { ok: true, duplicate: true, sent: false, reason: 'This receipt is already being sent' },
+      instructions: 'Tell the caller the confirmation text is on its way.',
+    };
+  }
+  if (receiptsSent[reference]) {
+    return { output: { ok: true, duplicate: true, sent: true } };
+  }
+
+  // Claimed before the first await so a repeated tool call during the send can't text the caller twice.
+  receiptsSent[reference] = 'sending';
+  let result;
+  try {
+    result = await sendReceipt({ phone, about: args.about, record, restaurantName });
+  } finally {
+    if (!result?.delivered) delete receiptsSent[reference];
+  }
+
+  if (result.optedOut) {
+    return { output: { ok: false, error: 'opted_out' }, instructions: OPTED_OUT_INSTRUCTIONS };
+  }
+  if (result.unsubscribed) {
+    await setOptOut(phone, true, { source: 'carrier' });
+    return { output: { ok: false, error: 'opted_out' }, instructions: OPTED_OUT_INSTRUCTIONS };
+  }
+  if (!result.delivered) {
+    return {
+      output: { ok: false, error: 'send_failed', reason: result.reason },
+      instructions: 'Apologize briefly: the text could not be sent right now. Their message or order is not affected.',
+    };
+  }
+
+  receiptsSent[reference] = true;
+  callRecorder?.addReceipt({ about: args.about, reference, messageSid: result.messageSid });
+  console.log('[Tools] caller receipt sent', { callSid: context.callSid, about: args.about, messageSid: result.messageSid });
+
+  return {
+    output: { ok: true, sent: true },
+    instructions: 'Tell the caller the confirmation text is on its way.',
+  };
+};
+
+export const sendCallerReceiptTool = {
+  name: 'send_caller_receipt',
+  description:
+    'Text the caller a confirmation of the message or order captured on this call. Only call after the caller said yes to a text. The text goes to the caller ID number and its content is built server-side.',
+  parameters: SEND_CALLER_RECEIPT_PARAMETERS,
+  handler: handleSendCallerReceipt,
+};
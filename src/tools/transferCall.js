@@ -0,0 +1,85 @@
+import { findTransferTarget, startTransfer } from '../telephony/transfers.js';
+import { getTenant } from '../tenants/index.js';
+
+const TRANSFER_CALL_PARAMETERS = {
+  type: 'object',
+  properties: {
+    target: {
+      type: 'string',
+      nullable: true,
+      description: 'Who the caller wants to reach, when the line lists several people. Null for the default person.',
+    },
+    callerName: { type: 'string', nullable: true, description: 'Caller name, announced before connecting.' },
+    reason: {
+      type: 'string',
+      description: 'A few words on why they are calling, announced to the person before the caller is connected.',
+    },
+  },
+  required: ['reason'],
+  additionalProperties: false,
+};
+
+const OFFER_MESSAGE = 'Tell the caller you cannot connect them right now and offer to take a message instead.';
+
+const handleTransferCall = async (args, context) => {
+  const { callSid, tenantId, callerPhone, callRecorder, callState } = context;
+  const tenant = getTenant(tenantId) || getTenant(null);
+  if (!tenant.transfer) {
+    return {
+      output: { ok: false, error: 'transfer_not_configured', reason: 'This line has no transfer targets' },
+      instructions: OFFER_MESSAGE,
+    };
+  }
+
+  // After an unanswered transfer the call comes back to the assistant; don't ring the same people again.
+  if (callState.transferFailed) {
+    return {
+      output: { ok: false, error: 'transfer_unavailable', reason: 'A transfer was already tried on this call' },
+      instructions: OFFER_MESSAGE,
+    };
+  }
+
+  const target = findTransferTarget(tenant.transfer, args.target);
+  if (!target) {
+    return {
+      output: {
+        ok: false,
+        error: 'unknown_target',
+        targets: tenant.transfer.targets.map((candidate) => candidate.name || candidate.id),
+      },
+      instructions: 'Ask the caller which of the listed targets they want to reach.',
+    };
+  }
+
+  const reason = args.reason?.trim() || null;
+  const result = await startTransfer({
+    callSid,
+    tenant,
+    target,
+    callerPhone,
+    callerName: args.callerName?.trim() || null,
+    reason,
+  });
+  if (!result.started) {
+    return { output: { ok: false, error: 'transfer_failed', reason: result.reason }, instructions: OFFER_MESSAGE };
+  }
+
+  callState.transferStarted = true;
+  callRecorder?.setTransfer({
+    targetId: target.id,
+    targetName: target.name,
+    reason,
+    status: 'dialing',
+    startedAt: new Date().toISOString(),
+  });
+
+  return { output: { ok: true, transferring: true, target: target.name || target.id } };
+};
+
+export const transferCallTool = {
+  name: 'transfer_call',
+  description:
+    'Warm-transfer the live call to a person (for example Tom or the manager) when the caller insists on speaking to a human. The person hears who is calling first; if nobody answers the call comes back to you or goes to voicemail.',
+  parameters: TRANSFER_CALL_PARAMETERS,
+  handler: handleTransferCall,
+};
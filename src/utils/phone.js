@@ -0,0 +1,32 @@
+const INVALID_PHONE_VALUES = new Set([
+  '',
+  'caller id',
+  'callerid',
+  'unknown',
+  'n/a',
+  'na',
+  'none',
+  'null',
+  'undefined',
+  'caller',
+]);
+
+export const normalizeCallerPhone = (value) => {
+  if (value == null) return null;
+  const trimmed = String(value).trim();
+  if (!trimmed) return null;
+  if (INVALID_PHONE_VALUES.has(trimmed.toLowerCase())) return null;
+  return trimmed;
+};
+
+export const digitsOnly = (value) => String(value || '').replace(/\D/g, '');
+
+export const areSamePhone = (a, b) => {
+  const da = digitsOnly(a);
+  const db = digitsOnly(b);
+  if (!da || !db) return false;
+  if (da.length >= 10 && db.length >= 10) {
+    return da.slice(-10) === db.slice(-10);
+  }
+  return da === db;
+};